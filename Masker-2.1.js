@@ -3,21 +3,392 @@
  * email, time, and combined date+time range validation.
  */
 class MaskerValidator {  
+    // registry of custom validators: token => { format, message, priority, async }
+    static _validators = new Map();
+
+    // newest async validation run per element: el => { controller, promise, settled }
+    static #runs = new WeakMap();
+
+    // result currently shown by each error container: span => { code, message, params }
+    static #displayed = new WeakMap();
+
+    /**
+     * Registers a custom validator for a masker token (e.g. masker="ssn required").
+     * @param {string} token The masker token that activates the validator.
+     * @param {object} def
+     *   - format: RegExp, or function(value, el) returning truthy when valid, falsy when invalid,
+     *     or an error string.
+     *   - message: string or function(el) shown when format fails (data-errMsg still wins).
+     *   - priority: position in validate()'s ordering (default 2, alongside the format checks).
+     *   - async: when true, format(value, el, { signal }) returns a promise. It is skipped by validate()
+     *     and only runs through validateAsync() once every synchronous check has passed.
+     */
+    static register(token, { format, message, priority = 2, async = false } = {}) {
+        if (typeof token !== 'string' || !token.trim() || /\s/.test(token.trim())) {
+            throw new TypeError('MaskerValidator.register: token must be a single word.');
+        }
+        if (['required', 'format', 'complex'].includes(token)) {
+            throw new TypeError(`MaskerValidator.register: '${token}' is a reserved check name.`);
+        }
+        if (!this.#isRegExp(format) && typeof format !== 'function') {
+            throw new TypeError('MaskerValidator.register: format must be a RegExp or a function.');
+        }
+        this._validators.set(token.trim(), { code: token.trim(), format, message, priority, async: !!async });
+        return this;
+    }
+
+    static unregister(token) {
+        return this._validators.delete(token);
+    }
+
+    // Realm-safe: a RegExp from another window or iframe fails instanceof
+    static #isRegExp(value) {
+        return Object.prototype.toString.call(value) === '[object RegExp]';
+    }
+
+    // MESSAGE CATALOGS
+    // Keyed by locale, then error code. Values are strings with {param} placeholders or functions(params).
+    static #locale = 'en';
+
+    static _messages = {
+        en: {
+            'invalid': 'Please enter a valid value.',
+            'required': 'This field is required.',
+            'summary.title': 'Please correct the following errors:',
+            'field.default': 'Field',
+            'email.invalid': 'Please enter a valid email address.',
+            'time.invalid': 'Please enter a valid time ({format}).',
+            'datetime.invalid': 'Please enter a valid date and time ({format}).',
+            'time.meridiem': 'Please choose AM or PM.',
+            'pattern.mismatch': 'Please complete the required format.',
+            'phone.length': 'Phone number must have {expected} digits.',
+            'phone.prefix': 'This is not a valid {country} phone number.',
+            'number.invalid': 'Please enter a valid number.',
+            'number.min': 'Value must be at least {min}.',
+            'number.max': 'Value must be at most {max}.',
+            'date.invalid': 'Date is not valid.',
+            'date.year_required': 'Year is required.',
+            'date.year_digits': 'Year must be {digits} digits.',
+            'date.year_invalid': 'Year is not valid.',
+            'date.year_in_future': 'Year cannot be in the future.',
+            'date.year_in_past': 'Year cannot be in the past.',
+            'date.year_before_min': 'Year cannot be before {min}.',
+            'date.year_out_of_range': 'Year must be between {min} and {max}.',
+            'date.month_range': 'Month must be 01-12.',
+            'date.month_name': '"{month}" is not a valid month.',
+            'date.day_range': 'Day must be 01-31.',
+            'date.leap_day': 'Invalid date: {month}/{day} does not exist in year {year}.',
+            'date.day_not_in_month': 'Invalid date: {month}/{day} does not exist in year {year}.',
+            'date.max_days_out': 'Date cannot be more than {maxDays} days in the future.',
+            'date.min_days_out': 'Date must be at least {minDays} days in the future.',
+            'date.before_min': 'Date cannot be before {min}.',
+            'date.after_max': 'Date cannot be after {max}.',
+            'date.disabled_day': '{weekday} is not available.',
+            'date.blackout': '{date} is not available.',
+            'range.start_label': 'Start date',
+            'range.end_label': 'End date',
+            'range.end_before_start': p => p.withTime
+                ? 'End date must be on or after the start date.'
+                : `${p.start} cannot be set after ${p.end}`,
+            'range.equal': 'Start and end cannot be the same.',
+            'range.too_short': 'The range must be at least {min}.',
+            'range.too_long': 'The range cannot be longer than {max}.',
+            'range.includes_blackout': 'The range cannot include {date}.',
+            'range.end_time_before_start': p => p.sameDay
+                ? 'End time must be after start time on the same day.'
+                : 'End time must be after start time.',
+            'range.out_of_order': 'Step {step} must be on or after step {previous}.',
+            'compare.eq': 'This must match {field}.',
+            'compare.ne': 'This must be different from {field}.',
+            'compare.gt': 'This must be greater than {field}.',
+            'compare.gte': 'This must be at least {field}.',
+            'compare.lt': 'This must be less than {field}.',
+            'compare.lte': 'This must be at most {field}.',
+            'compare.depends_on': 'This field is required when {field} is set.'
+        },
+        fr: {
+            'invalid': 'Veuillez saisir une valeur valide.',
+            'required': 'Ce champ est obligatoire.',
+            'summary.title': 'Veuillez corriger les erreurs suivantes :',
+            'field.default': 'Champ',
+            'email.invalid': 'Veuillez saisir une adresse e-mail valide.',
+            'time.invalid': 'Veuillez saisir une heure valide ({format}).',
+            'datetime.invalid': 'Veuillez saisir une date et une heure valides ({format}).',
+            'time.meridiem': 'Veuillez choisir AM ou PM.',
+            'pattern.mismatch': 'Veuillez respecter le format requis.',
+            'phone.length': 'Le numéro de téléphone doit comporter {expected} chiffres.',
+            'phone.prefix': "Ce numéro de téléphone n'est pas valide ({country}).",
+            'number.invalid': 'Veuillez saisir un nombre valide.',
+            'number.min': 'La valeur doit être supérieure ou égale à {min}.',
+            'number.max': 'La valeur doit être inférieure ou égale à {max}.',
+            'date.invalid': "La date n'est pas valide.",
+            'date.year_required': "L'année est obligatoire.",
+            'date.year_digits': "L'année doit comporter {digits} chiffres.",
+            'date.year_invalid': "L'année n'est pas valide.",
+            'date.year_in_future': "L'année ne peut pas être dans le futur.",
+            'date.year_in_past': "L'année ne peut pas être dans le passé.",
+            'date.year_before_min': "L'année ne peut pas être antérieure à {min}.",
+            'date.year_out_of_range': "L'année doit être comprise entre {min} et {max}.",
+            'date.month_range': 'Le mois doit être compris entre 01 et 12.',
+            'date.month_name': "« {month} » n'est pas un mois valide.",
+            'date.day_range': 'Le jour doit être compris entre 01 et 31.',
+            'date.leap_day': "Date invalide : le {day}/{month} n'existe pas en {year}.",
+            'date.day_not_in_month': "Date invalide : le {day}/{month} n'existe pas en {year}.",
+            'date.max_days_out': 'La date ne peut pas dépasser {maxDays} jours dans le futur.',
+            'date.min_days_out': 'La date doit être au moins {minDays} jours dans le futur.',
+            'date.before_min': 'La date ne peut pas être antérieure au {min}.',
+            'date.after_max': 'La date ne peut pas être postérieure au {max}.',
+            'date.disabled_day': "Le {weekday} n'est pas disponible.",
+            'date.blackout': "Le {date} n'est pas disponible.",
+            'range.start_label': 'Date de début',
+            'range.end_label': 'Date de fin',
+            'range.end_before_start': '{start} ne peut pas être postérieure à {end}.',
+            'range.equal': 'Le début et la fin ne peuvent pas être identiques.',
+            'range.too_short': 'La période doit durer au moins {min}.',
+            'range.too_long': 'La période ne peut pas dépasser {max}.',
+            'range.includes_blackout': 'La période ne peut pas inclure le {date}.',
+            'range.end_time_before_start': "L'heure de fin doit être postérieure à l'heure de début.",
+            'range.out_of_order': "L'étape {step} ne peut pas précéder l'étape {previous}.",
+            'compare.eq': 'Cette valeur doit correspondre à {field}.',
+            'compare.ne': 'Cette valeur doit être différente de {field}.',
+            'compare.gt': 'Cette valeur doit être supérieure à {field}.',
+            'compare.gte': 'Cette valeur doit être supérieure ou égale à {field}.',
+            'compare.lt': 'Cette valeur doit être inférieure à {field}.',
+            'compare.lte': 'Cette valeur doit être inférieure ou égale à {field}.',
+            'compare.depends_on': 'Ce champ est obligatoire lorsque {field} est renseigné.'
+        },
+        de: {
+            'invalid': 'Bitte geben Sie einen gültigen Wert ein.',
+            'required': 'Dieses Feld ist erforderlich.',
+            'summary.title': 'Bitte korrigieren Sie die folgenden Fehler:',
+            'field.default': 'Feld',
+            'email.invalid': 'Bitte geben Sie eine gültige E-Mail-Adresse ein.',
+            'time.invalid': 'Bitte geben Sie eine gültige Uhrzeit ein ({format}).',
+            'datetime.invalid': 'Bitte geben Sie ein gültiges Datum mit Uhrzeit ein ({format}).',
+            'time.meridiem': 'Bitte wählen Sie AM oder PM.',
+            'pattern.mismatch': 'Bitte halten Sie das erforderliche Format ein.',
+            'phone.length': 'Die Telefonnummer muss {expected} Ziffern haben.',
+            'phone.prefix': 'Dies ist keine gültige Telefonnummer ({country}).',
+            'number.invalid': 'Bitte geben Sie eine gültige Zahl ein.',
+            'number.min': 'Der Wert muss mindestens {min} betragen.',
+            'number.max': 'Der Wert darf höchstens {max} betragen.',
+            'date.invalid': 'Das Datum ist ungültig.',
+            'date.year_required': 'Das Jahr ist erforderlich.',
+            'date.year_digits': 'Das Jahr muss {digits} Ziffern haben.',
+            'date.year_invalid': 'Das Jahr ist ungültig.',
+            'date.year_in_future': 'Das Jahr darf nicht in der Zukunft liegen.',
+            'date.year_in_past': 'Das Jahr darf nicht in der Vergangenheit liegen.',
+            'date.year_before_min': 'Das Jahr darf nicht vor {min} liegen.',
+            'date.year_out_of_range': 'Das Jahr muss zwischen {min} und {max} liegen.',
+            'date.month_range': 'Der Monat muss zwischen 01 und 12 liegen.',
+            'date.month_name': '„{month}“ ist kein gültiger Monat.',
+            'date.day_range': 'Der Tag muss zwischen 01 und 31 liegen.',
+            'date.leap_day': 'Ungültiges Datum: Den {day}.{month}. gibt es im Jahr {year} nicht.',
+            'date.day_not_in_month': 'Ungültiges Datum: Den {day}.{month}. gibt es im Jahr {year} nicht.',
+            'date.max_days_out': 'Das Datum darf höchstens {maxDays} Tage in der Zukunft liegen.',
+            'date.min_days_out': 'Das Datum muss mindestens {minDays} Tage in der Zukunft liegen.',
+            'date.before_min': 'Das Datum darf nicht vor dem {min} liegen.',
+            'date.after_max': 'Das Datum darf nicht nach dem {max} liegen.',
+            'date.disabled_day': '{weekday} ist nicht verfügbar.',
+            'date.blackout': 'Der {date} ist nicht verfügbar.',
+            'range.start_label': 'Startdatum',
+            'range.end_label': 'Enddatum',
+            'range.end_before_start': '{start} darf nicht nach {end} liegen.',
+            'range.equal': 'Beginn und Ende dürfen nicht gleich sein.',
+            'range.too_short': 'Der Zeitraum muss mindestens {min} betragen.',
+            'range.too_long': 'Der Zeitraum darf höchstens {max} betragen.',
+            'range.includes_blackout': 'Der Zeitraum darf den {date} nicht enthalten.',
+            'range.end_time_before_start': 'Die Endzeit muss nach der Startzeit liegen.',
+            'range.out_of_order': 'Schritt {step} darf nicht vor Schritt {previous} liegen.',
+            'compare.eq': 'Der Wert muss mit {field} übereinstimmen.',
+            'compare.ne': 'Der Wert muss sich von {field} unterscheiden.',
+            'compare.gt': 'Der Wert muss größer als {field} sein.',
+            'compare.gte': 'Der Wert muss mindestens {field} sein.',
+            'compare.lt': 'Der Wert muss kleiner als {field} sein.',
+            'compare.lte': 'Der Wert darf höchstens {field} sein.',
+            'compare.depends_on': 'Dieses Feld ist erforderlich, wenn {field} ausgefüllt ist.'
+        },
+        ja: {
+            'invalid': '有効な値を入力してください。',
+            'required': 'この項目は必須です。',
+            'summary.title': '次のエラーを修正してください：',
+            'field.default': '項目',
+            'email.invalid': '有効なメールアドレスを入力してください。',
+            'time.invalid': '有効な時刻を入力してください（{format}）。',
+            'datetime.invalid': '有効な日時を入力してください（{format}）。',
+            'time.meridiem': '午前（AM）か午後（PM）を選択してください。',
+            'pattern.mismatch': '指定された形式で入力してください。',
+            'phone.length': '電話番号は{expected}桁で入力してください。',
+            'phone.prefix': '有効な電話番号ではありません（{country}）。',
+            'number.invalid': '有効な数値を入力してください。',
+            'number.min': '{min}以上の値を入力してください。',
+            'number.max': '{max}以下の値を入力してください。',
+            'date.invalid': '日付が正しくありません。',
+            'date.year_required': '年を入力してください。',
+            'date.year_digits': '年は{digits}桁で入力してください。',
+            'date.year_invalid': '年が正しくありません。',
+            'date.year_in_future': '未来の年は指定できません。',
+            'date.year_in_past': '過去の年は指定できません。',
+            'date.year_before_min': '{min}年より前の年は指定できません。',
+            'date.year_out_of_range': '年は{min}年から{max}年の間で入力してください。',
+            'date.month_range': '月は01～12で入力してください。',
+            'date.month_name': '「{month}」は有効な月ではありません。',
+            'date.day_range': '日は01～31で入力してください。',
+            'date.leap_day': '無効な日付です：{year}年{month}月{day}日は存在しません。',
+            'date.day_not_in_month': '無効な日付です：{year}年{month}月{day}日は存在しません。',
+            'date.max_days_out': '{maxDays}日より先の日付は指定できません。',
+            'date.min_days_out': '{minDays}日以上先の日付を指定してください。',
+            'date.before_min': '{min}より前の日付は指定できません。',
+            'date.after_max': '{max}より後の日付は指定できません。',
+            'date.disabled_day': '{weekday}は選択できません。',
+            'date.blackout': '{date}は選択できません。',
+            'range.start_label': '開始日',
+            'range.end_label': '終了日',
+            'range.end_before_start': '{start}を{end}より後に設定することはできません。',
+            'range.equal': '開始と終了を同じにすることはできません。',
+            'range.too_short': '期間は{min}以上にしてください。',
+            'range.too_long': '期間は{max}以内にしてください。',
+            'range.includes_blackout': '期間に{date}を含めることはできません。',
+            'range.end_time_before_start': '終了時刻は開始時刻より後にしてください。',
+            'range.out_of_order': 'ステップ{step}はステップ{previous}と同じか、それより後にしてください。',
+            'compare.eq': '{field}と一致させてください。',
+            'compare.ne': '{field}とは異なる値を入力してください。',
+            'compare.gt': '{field}より大きい値を入力してください。',
+            'compare.gte': '{field}以上の値を入力してください。',
+            'compare.lt': '{field}より小さい値を入力してください。',
+            'compare.lte': '{field}以下の値を入力してください。',
+            'compare.depends_on': '{field}を入力した場合、この項目は必須です。'
+        }
+    };
+
+    static setLocale(locale) {
+        this.#locale = locale || 'en';
+        return this;
+    }
+
+    static getLocale() {
+        return this.#locale;
+    }
+
+    /**
+     * Adds or overrides messages for a locale (e.g. addMessages('fr', { ssn: 'NSS invalide.' })).
+     * @param {string} locale A BCP 47 tag such as 'fr' or 'fr-CA'.
+     * @param {object} dict Error code => string with {param} placeholders, or function(params).
+     */
+    static addMessages(locale, dict) {
+        this._messages[locale] = { ...(this._messages[locale] || {}), ...dict };
+        return this;
+    }
+
+    /**
+     * Renders the message for an error code in the current locale.
+     * Falls back from 'fr-CA' to 'fr' to 'en', then to the generic 'invalid' message.
+     */
+    static formatMessage(code, params = {}) {
+        const template = this.#lookupMessage(code) ?? this.#lookupMessage('invalid');
+        if (typeof template === 'function') return template(params);
+        return String(template).replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+    }
+
+    static #lookupMessage(code) {
+        const chain = [this.#locale, this.#locale.split('-')[0], 'en'];
+        for (const locale of chain) {
+            const dict = this._messages[locale];
+            if (dict && dict[code] !== undefined) return dict[code];
+        }
+        return null;
+    }
+
     static triggerAllValidations() {
         // 1. Run validation Synchronously (Fixes "Save" button missing errors)
         document.querySelectorAll('[masker]').forEach(el => {
-            const errorMessage = this.validate(el);
-            // Find where the error should physically sit (e.g., after the Minutes dropdown)
-            const anchor = this._findErrorAnchor(el); 
+            const error = this.getValidationResult(el);
             
-            if (errorMessage) {
-                this.displayError(el, errorMessage);
+            if (error) {
+                this.displayError(el, error);
             } else {
                 this.clearError(el);
             }
         });
 
         // 2. Scrape the DOM for the results
+        return this.#collectDisplayedErrors();
+    }
+
+    /**
+     * Async variant of triggerAllValidations(): waits for every async validator (cancelling
+     * stale runs) before displaying and reporting errors.
+     * @returns {Promise<object[]>} Resolves to the same {id, title, message, code, params} objects.
+     */
+    static async triggerAllValidationsAsync() {
+        const fields = Array.from(document.querySelectorAll('[masker]'));
+        const results = await Promise.all(fields.map(el => this.getValidationResultAsync(el)));
+
+        fields.forEach((el, i) => {
+            if (results[i]) {
+                this.displayError(el, results[i]);
+            } else {
+                this.clearError(el);
+            }
+        });
+
+        return this.#collectDisplayedErrors();
+    }
+
+    /**
+     * Validates only the fields inside a form (or any container) and displays their errors.
+     * Results come straight from the validators, so other forms on the page cannot leak in.
+     * @param {HTMLElement|string} formOrSelector The container element or a selector for it.
+     * @returns {object[]} Error objects ({id, title, message, code, params}) for the invalid fields.
+     */
+    static validateForm(formOrSelector) {
+        return this.#reportFormErrors(this.#formFields(formOrSelector), el => this.getValidationResult(el));
+    }
+
+    /**
+     * Async variant of validateForm(): waits for the async validators of the scoped fields.
+     * @param {HTMLElement|string} formOrSelector The container element or a selector for it.
+     * @returns {Promise<object[]>} Resolves to the same error objects as validateForm().
+     */
+    static async validateFormAsync(formOrSelector) {
+        const fields = this.#formFields(formOrSelector);
+        const results = await Promise.all(fields.map(el => this.getValidationResultAsync(el)));
+        return this.#reportFormErrors(fields, el => results[fields.indexOf(el)]);
+    }
+
+    static #formFields(formOrSelector) {
+        const root = typeof formOrSelector === 'string' ? document.querySelector(formOrSelector) : formOrSelector;
+        if (!root || !root.querySelectorAll) {
+            throw new TypeError(`MaskerValidator.validateForm: no container found for ${formOrSelector}.`);
+        }
+        return Array.from(root.querySelectorAll('[masker], [required]')).filter(el => !el.disabled);
+    }
+
+    static #reportFormErrors(fields, getError) {
+        const formErrors = [];
+        fields.forEach(el => {
+            const error = getError(el);
+            if (error) {
+                this.displayError(el, error);
+                formErrors.push({ id: el.id || null, title: this.#fieldTitle(el), ...error });
+            } else {
+                this.clearError(el);
+            }
+        });
+        return formErrors;
+    }
+
+    static #fieldTitle(el, fallback = this.formatMessage('field.default')) {
+        const label = el.labels && el.labels[0] ? el.labels[0].textContent.trim() : '';
+        return el.title || label || el.name || fallback;
+    }
+
+    // Pair partners are looked up inside the field's own form so two forms can reuse a data-pair name
+    static _pairScope(el) {
+        return (el && el.closest && el.closest('form')) || document;
+    }
+
+    static #collectDisplayedErrors() {
         const formErrors = [];
         const errorSpans = document.getElementsByClassName('error-msg');
 
@@ -27,12 +398,16 @@ class MaskerValidator {
                 const inputId = span.dataset.errorFor;
                 const inputElement = document.getElementById(inputId);
                 // Fallback to "Field" if element is missing, avoiding crashes
-                const inputTitle = inputElement ? (inputElement.title || inputElement.name) : 'Field';
+                const inputTitle = inputElement ? (inputElement.title || inputElement.name) : this.formatMessage('field.default');
+                // Code and params are only known when the span was filled from a result object
+                const shown = this.#displayed.get(span);
 
                 formErrors.push({
                     id: inputId,
                     title: inputTitle,
-                    message: message
+                    message: message,
+                    code: shown ? shown.code : null,
+                    params: shown ? shown.params : {}
                 });
             }
         });
@@ -46,7 +421,18 @@ class MaskerValidator {
      * @param {object} priority An object defining the execution order.
      * @returns {string|null} An error message string or null if valid.
      */
-    static validate(el, priority = { 'required': 1, 'format': 2, 'complex': 3 }) {
+    static validate(el, priority) {
+        const error = this.getValidationResult(el, priority);
+        return error ? error.message : null;
+    }
+
+    /**
+     * Same checks as validate(), but returns a machine-readable result.
+     * @param {HTMLElement} el The element to validate.
+     * @param {object} priority An object defining the execution order.
+     * @returns {{code: string, message: string, params: object}|null} The first failing check, or null.
+     */
+    static getValidationResult(el, priority = { 'required': 1, 'format': 2, 'complex': 3 }) {
         const maskerAttr = el.getAttribute('masker') || '';
 
         const checkRequired = () => {
@@ -58,26 +444,29 @@ class MaskerValidator {
 
         const checkFormat = () => {
             if (el.value && el.value !== el.placeholder) {
+                if (maskerAttr.startsWith('datetime')) return this.validateDateTime(el);
                 if (maskerAttr.startsWith('date')) return this.validateDate(el);
                 if (maskerAttr.startsWith('email')) return this.validateEmail(el);
                 if (maskerAttr.startsWith('time')) return this.validateTime(el);
+                if (maskerAttr.startsWith('pattern')) return this.validatePattern(el);
+                if (maskerAttr.startsWith('phone')) return this.validatePhone(el);
+                if (maskerAttr.startsWith('decimal') || maskerAttr.startsWith('currency')) return this.validateNumber(el);
             }
             return null;
         };
 
         const checkComplex = () => {
             if (el.dataset.pair) {
-                const pairName = el.dataset.pair;
-                const sd = document.querySelector(`[masker*="date begin"][data-pair="${pairName}"]`);
-                const st = document.querySelector(`[masker*="time begin"][data-pair="${pairName}"]`);
-                const ed = document.querySelector(`[masker*="date end"][data-pair="${pairName}"]`);
-                const et = document.querySelector(`[masker*="time end"][data-pair="${pairName}"]`);
-
-                if ((sd && ed) || (st && et)) {
-                    return this.validateDateTimeRange(sd, st, ed, et);
+                let pairError = null;
+                if (el.hasAttribute('data-pair-order')) {
+                    pairError = this.validateSequence(el);
+                } else {
+                    const { sd, st, ed, et } = this._pairMembers(el);
+                    if ((sd && ed) || (st && et)) pairError = this.validateDateTimeRange(sd, st, ed, et);
                 }
+                if (pairError) return pairError;
             }
-            return null;
+            return this.validateComparison(el);
         };
 
         const checkFunctions = {
@@ -86,7 +475,15 @@ class MaskerValidator {
             complex: checkComplex
         };
 
-        const sortedChecks = Object.keys(priority).sort((a, b) => priority[a] - priority[b]);
+        // Custom validators join the ordering under their own token, unless the caller ranked them already
+        const order = { ...priority };
+        maskerAttr.split(/\s+/).filter(t => this._validators.has(t) && !this._validators.get(t).async).forEach(token => {
+            const def = this._validators.get(token);
+            checkFunctions[token] = () => this.#runCustomValidator(el, def);
+            if (!(token in order)) order[token] = def.priority;
+        });
+
+        const sortedChecks = Object.keys(order).sort((a, b) => order[a] - order[b]);
 
         for (const priFunction of sortedChecks) {
             if (checkFunctions[priFunction]) {
@@ -98,6 +495,116 @@ class MaskerValidator {
         return null;
     }
 
+    /**
+     * Runs validate() and then, if it passed, every async validator on the element in priority order.
+     * Starting a new run aborts the previous one; a superseded run resolves to the newest run's result.
+     * While async checks are outstanding the field gets the 'pending' class and aria-busy="true".
+     * @param {HTMLElement} el The element to validate.
+     * @returns {Promise<string|null>} An error message string or null if valid.
+     */
+    static async validateAsync(el, priority) {
+        const error = await this.getValidationResultAsync(el, priority);
+        return error ? error.message : null;
+    }
+
+    /**
+     * Async counterpart of getValidationResult().
+     * @returns {Promise<{code: string, message: string, params: object}|null>}
+     */
+    static getValidationResultAsync(el, priority) {
+        const previous = this.#runs.get(el);
+        if (previous && !previous.settled) previous.controller.abort();
+
+        const error = this.getValidationResult(el, priority);
+        const maskerAttr = el.getAttribute('masker') || '';
+        const asyncDefs = maskerAttr.split(/\s+/)
+            .filter(t => this._validators.has(t) && this._validators.get(t).async)
+            .map(t => this._validators.get(t))
+            .sort((a, b) => a.priority - b.priority);
+
+        const controller = new AbortController();
+        const run = { controller, promise: null, settled: false };
+        this.#runs.set(el, run);
+
+        if (error || !asyncDefs.length || !el.value || el.value === el.placeholder) {
+            run.settled = true;
+            run.promise = Promise.resolve(error);
+            this.#setPending(el, false);
+            return run.promise;
+        }
+
+        this.#setPending(el, true);
+
+        run.promise = (async () => {
+            let result = null;
+            for (const def of asyncDefs) {
+                let outcome;
+                try {
+                    outcome = await def.format(el.value, el, { signal: controller.signal });
+                } catch (e) {
+                    // Aborted runs are handled below; other failures (e.g. network) do not block the user
+                    outcome = true;
+                }
+                if (controller.signal.aborted) break;
+                result = this.#customResult(el, def, outcome);
+                if (result) break;
+            }
+
+            // A superseded run (even one whose validator ignored the signal) resolves to the newest run's result
+            const latest = this.#runs.get(el);
+            if (latest !== run) return latest.promise;
+
+            run.settled = true;
+            this.#setPending(el, false);
+            return result;
+        })();
+
+        return run.promise;
+    }
+
+    // The promise of el's newest async run, so callers can drop results of runs that were superseded
+    static _latestAsyncRun(el) {
+        const run = this.#runs.get(el);
+        return run ? run.promise : null;
+    }
+
+    static hasAsyncValidators(el) {
+        const maskerAttr = el.getAttribute('masker') || '';
+        return maskerAttr.split(/\s+/).some(t => this._validators.has(t) && this._validators.get(t).async);
+    }
+
+    static #setPending(el, isPending) {
+        el.classList.toggle('pending', isPending);
+        if (isPending) {
+            el.setAttribute('aria-busy', 'true');
+        } else {
+            el.removeAttribute('aria-busy');
+        }
+    }
+
+    static #runCustomValidator(el, def) {
+        if (!el.value || el.value === el.placeholder) return null;
+
+        const outcome = this.#isRegExp(def.format) ? def.format.test(el.value) : def.format(el.value, el);
+        return this.#customResult(el, def, outcome);
+    }
+
+    // Custom validators report under their own token as the error code
+    static #customResult(el, def, outcome) {
+        if (typeof outcome === 'string') return this.#error(def.code, {}, outcome);
+        if (outcome) return null;
+
+        // Message order: data-errMsg, a catalog entry for the token (see addMessages), the registered message
+        const message = typeof def.message === 'function' ? def.message(el) : def.message;
+        const override = el.getAttribute('data-errMsg') || (this.#lookupMessage(def.code) === null ? message : null);
+        return this.#error(def.code, {}, override);
+    }
+
+    // override: a page-supplied message (data-errMsg etc.) that replaces the catalog text
+    static #error(code, params = {}, override = null) {
+        return { code, message: override || this.formatMessage(code, params), params };
+    }
+
     static getOrCreateErrorContainer(el, anchor) {
         if (!el.id) return null;
         
@@ -120,8 +627,17 @@ class MaskerValidator {
         const anchor = MaskerValidator._findErrorAnchor(el);
         const c = this.getOrCreateErrorContainer(el, anchor);
         if (!c) return;
-        c.textContent = msg;
+        // Accepts a plain message or a { code, message, params } result
+        const isResult = msg && typeof msg === 'object';
+        c.textContent = isResult ? msg.message : msg;
         c.style.display = 'inline';
+        if (isResult) {
+            this.#displayed.set(c, msg);
+            c.dataset.errorCode = msg.code;
+        } else {
+            this.#displayed.delete(c);
+            delete c.dataset.errorCode;
+        }
     }
 
     static clearError(el) {
@@ -130,6 +646,8 @@ class MaskerValidator {
         if (!c) return;
         c.textContent = '';
         c.style.display = 'none';
+        this.#displayed.delete(c);
+        delete c.dataset.errorCode;
     }
 
     // REQUIRED FIELD
@@ -144,7 +662,7 @@ class MaskerValidator {
 
         // 1. Check for Placeholder conflict (legacy/placeholder-as-value check)
         if (!isSelect && val === el.placeholder) {
-            return el.getAttribute('data-errMsg') || 'This field is required.';
+            return this.#error('required', {}, el.getAttribute('data-errMsg'));
         }
 
         let isInvalid = false;
@@ -160,7 +678,7 @@ class MaskerValidator {
         }
 
         if (isInvalid) {
-            return el.getAttribute('data-errMsg') || 'This field is required.';
+            return this.#error('required', {}, el.getAttribute('data-errMsg'));
         }
         
         return null;
@@ -168,92 +686,73 @@ class MaskerValidator {
 
     // SINGLE DATE
     static validateDate(el) {
-        const v = el.value;
+        const v = this._dateValue(el);
         if (!v || v === el.placeholder) return null;
 
         // NEW: ISO Fallback. If value is strictly YYYY-MM-DD, assume valid system date.
         // This prevents the "Strict Mode" bug that stops your calendar from loading.
-        if (v.match(/^\d{4}-\d{2}-\d{2}$/)) return null;
+        if (v.match(/^\d{4}-\d{2}-\d{2}$/)) return this.#checkDaysOut(el) || this.#checkDateBounds(el) || this.#checkDayRules(el);
 
         const mask = el.getAttribute('masker') || '';
-        const rawFmt = el.getAttribute('data-format') || 'MDY';
-        if (rawFmt === 'US-MIL') return null;
+        const fmt = this._dateFormat(el);
 
-        const alias = { MDY: 'MM/DD/YYYY', DMY: 'DD/MM/YYYY', YMD: 'YYYY/MM/DD', 'US-CIV': 'MM/DD/YYYY' };
-        const fmt = alias[rawFmt] || rawFmt;
         const nowY = new Date().getFullYear();
         
         const allowAnyYearDigits = mask.includes('year-digits-any');
         const ignoreMax = mask.includes('ignore-max'); 
+        // Explicit bounds replace the default future-only year rule
+        const hasBounds = el.hasAttribute('data-min-date') || el.hasAttribute('data-max-date');
 
-        // --- 1. Max Days Out Check ---
-        const maxDaysOutAttr = el.getAttribute('data-max-days-out');
-        if (maxDaysOutAttr) {
-            const userDate = this.#toDate(el);
-            if (userDate) {
-                const maxDaysOut = parseInt(maxDaysOutAttr, 10);
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
-                const cutoffDate = new Date(today);
-                cutoffDate.setDate(today.getDate() + maxDaysOut);
-                if (userDate > cutoffDate) {
-                    return el.getAttribute('data-max-days-errmsg') || `Date cannot be more than ${maxDaysOut} days in the future.`;
-                }
-            }
-        }
+        // --- 1. Days Out Checks ---
+        const daysOutError = this.#checkDaysOut(el);
+        if (daysOutError) return daysOutError;
 
         // --- 2. Normalize & Split ---
-        const parts = v.split(/[^0-9]+/).filter(x => x);
-        if (parts.length !== 3) return 'Date is not valid.';
-
-        let rawY, rawM, rawD;
-
-        if (fmt.startsWith('Y')) {
-            [rawY, rawM, rawD] = parts;
-        } else if (fmt.startsWith('D')) {
-            [rawD, rawM, rawY] = parts;
-        } else {
-            [rawM, rawD, rawY] = parts;
-        }
+        const parts = this._parseDateParts(v, fmt, this._dateLocale(el));
+        if (!parts) return this.#error('date.invalid');
 
-        const normM = rawM.padStart(2, '0');
-        const normD = rawD.padStart(2, '0');
-        const normY = rawY; 
+        const normD = parts.day.padStart(2, '0');
+        const normY = parts.year; 
 
         // --- 3. Validate Year ---
         const isValidLen = allowAnyYearDigits ? normY.length > 0 : normY.length === 4;
-        if (!isValidLen) return allowAnyYearDigits ? 'Year is required.' : 'Year must be 4 digits.';
+        if (!isValidLen) {
+            return allowAnyYearDigits
+                ? this.#error('date.year_required')
+                : this.#error('date.year_digits', { digits: 4 });
+        }
 
         const y = parseInt(normY, 10);
-        if (isNaN(y)) return 'Year is not valid.';
+        if (isNaN(y)) return this.#error('date.year_invalid');
 
         if (!mask.includes('ancient future')) {
-            if (mask.includes('ancient') && y > nowY) return 'Year cannot be in the future.';
-            if (mask.includes('future') && y < nowY) return 'Year cannot be in the past.';
+            if (mask.includes('ancient') && y > nowY) return this.#error('date.year_in_future', { max: nowY });
+            if (mask.includes('future') && y < nowY) return this.#error('date.year_in_past', { min: nowY });
             
             if (mask.includes('2000')) {
-                if (y < 2000) return `Year cannot be before 2000.`;
-                if (!ignoreMax && y > nowY) return `Year must be between 2000 and ${nowY}.`;
+                if (y < 2000) return this.#error('date.year_before_min', { min: 2000 });
+                if (!ignoreMax && y > nowY) return this.#error('date.year_out_of_range', { min: 2000, max: nowY });
             }
             
             if (mask.includes('1900')) {
-                if (y < 1900) return `Year cannot be before 1900.`;
-                if (!ignoreMax && y > nowY) return `Year must be between 1900 and ${nowY}.`;
+                if (y < 1900) return this.#error('date.year_before_min', { min: 1900 });
+                if (!ignoreMax && y > nowY) return this.#error('date.year_out_of_range', { min: 1900, max: nowY });
             }
 
             // Default Scheduling Logic (Future Only)
-            if (!allowAnyYearDigits && !mask.includes('ancient') && !mask.includes('1900') && !mask.includes('2000') && y < nowY) {
-                return `Year cannot be before ${nowY}.`;
+            if (!allowAnyYearDigits && !hasBounds && !mask.includes('ancient') && !mask.includes('1900') && !mask.includes('2000') && y < nowY) {
+                return this.#error('date.year_before_min', { min: nowY });
             }
         }
 
         // --- 4. Validate Month ---
-        const m = parseInt(normM, 10);
-        if (isNaN(m) || m < 1 || m > 12) return 'Month must be 01-12.';
+        const m = parts.month;
+        if (parts.monthText !== null && isNaN(m)) return this.#error('date.month_name', { month: parts.monthText });
+        if (isNaN(m) || m < 1 || m > 12) return this.#error('date.month_range', { min: 1, max: 12 });
 
         // --- 5. Validate Day ---
         const d = parseInt(normD, 10);
-        if (isNaN(d) || d < 1 || d > 31) return 'Day must be 01-31.';
+        if (isNaN(d) || d < 1 || d > 31) return this.#error('date.day_range', { min: 1, max: 31 });
 
         const daysInMonth = [0, 31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
         let maxDays = daysInMonth[m];
@@ -263,9 +762,13 @@ class MaskerValidator {
              if (isLeap) maxDays = 29;
         }
 
-        if (d > maxDays) return `Invalid date: ${m}/${d} does not exist in year ${y}.`;
+        if (d > maxDays) {
+            const code = m === 2 && d === 29 ? 'date.leap_day' : 'date.day_not_in_month';
+            return this.#error(code, { month: m, day: d, year: y, maxDays });
+        }
 
-        return null;
+        // --- 6. Min / Max Date, then Weekday and Blackout Rules ---
+        return this.#checkDateBounds(el) || this.#checkDayRules(el);
     }
     
 
@@ -278,9 +781,9 @@ class MaskerValidator {
         if (!d1 || !d2) return null;
 
         if (d1 > d2) {
-            const t1 = startEl.title || 'Start date';
-            const t2 = endEl.title || 'End date';
-            return startEl.dataset.errMsgRangeStart || `${t1} cannot be set after ${t2}`;
+            const t1 = startEl.title || this.formatMessage('range.start_label');
+            const t2 = endEl.title || this.formatMessage('range.end_label');
+            return this.#error('range.end_before_start', { start: t1, end: t2 }, startEl.dataset.errMsgRangeStart);
         }
 
         return null;
@@ -291,16 +794,275 @@ class MaskerValidator {
         if (!el.value) return null;
         const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!re.test(el.value)) {
-            return el.getAttribute('data-errMsg') || 'Please enter a valid email address.';
+            return this.#error('email.invalid', {}, el.getAttribute('data-errMsg'));
         }
         return null;
     }
 
     // TIME
     static validateTime(el) {
-        const totalMinutes = this.#toTime(el);
-        if (el.value && totalMinutes === null) {
-            return 'Please enter a valid time (HH:MM).';
+        const value = this._timeValue(el);
+        if (!value || (el.tagName === 'INPUT' && el.type !== 'time' && !/\d/.test(value))) return null;
+        const fmt = this._timeFormat(el);
+        if (this.#toTime(el) !== null) return null;
+
+        // A complete 12-hour time that only lacks AM/PM gets a more helpful message
+        if (this._isTextTime(el) && this._timeTokens(fmt).some(t => t.unit === 'a')) {
+            const parts = this._parseTimeParts(value, fmt);
+            if (parts && parts.meridiem === null) return this.#error('time.meridiem');
+        }
+        return this.#error('time.invalid', { format: fmt });
+    }
+
+    // TIME FORMATS
+    // data-format on a masker="time" text field: HH (00-23) or hh (01-12), mm, ss, a (AM/PM) and literal
+    // separators, e.g. 'HH:mm', 'hh:mm a', 'HH:mm:ss'. Times are handled as minutes since midnight
+    // (seconds become a fraction).
+    static _timeFormat(el) {
+        if (this._isDateTime(el)) return this._dateTimeFormat(el).time;
+        return el.getAttribute('data-format') || 'HH:mm';
+    }
+
+    // DATETIME
+    // masker="datetime": one field holding a date and a time. data-format is a date format (or alias),
+    // a separator, then a time format: 'MM/DD/YYYY HH:mm' (default), 'DMY hh:mm a', 'YYYY-MM-DDTHH:mm:ss'.
+    static _isDateTime(el) {
+        return (el.getAttribute('masker') || '').split(/\s+/).includes('datetime');
+    }
+
+    static _dateTimeFormat(el) {
+        const raw = el.getAttribute('data-format') || 'MM/DD/YYYY HH:mm';
+        const at = raw.search(/HH|hh/);
+        if (at === -1) return { date: raw, separator: ' ', time: 'HH:mm' };
+
+        const head = /^(.*(?:YYYY|MMM|MM|DD|MDY|DMY|YMD|US-CIV|US-MIL))(.*)$/.exec(raw.slice(0, at));
+        return head
+            ? { date: head[1], separator: head[2], time: raw.slice(at) }
+            : { date: 'MDY', separator: raw.slice(0, at), time: raw.slice(at) };
+    }
+
+    // Splits a datetime value where the date half and the time half both follow their formats
+    static _splitDateTime(el) {
+        const value = (el.value || '').trim();
+        const { separator, time } = this._dateTimeFormat(el);
+        const sep = separator.trim();
+        const dateFmt = this._dateFormat(el);
+        const locale = this._dateLocale(el);
+
+        for (let i = 1; i < value.length; i++) {
+            const rest = value.slice(i);
+            // Whitespace separators may be any run of spaces
+            const gap = sep ? (rest.trimStart().startsWith(sep) ? rest.length - rest.trimStart().length + sep.length : -1)
+                : (/^\s+/.exec(rest) || [''])[0].length;
+            if (gap < 0 || (!sep && !gap)) continue;
+
+            const datePart = value.slice(0, i);
+            const timePart = rest.slice(gap);
+            if (this._parseDateParts(datePart, dateFmt, locale) && this._parseTimeParts(timePart, time)) {
+                return { date: datePart, time: timePart };
+            }
+        }
+        return null;
+    }
+
+    // The date or time half a validator should read
+    static _dateValue(el) {
+        if (!this._isDateTime(el)) return el.value;
+        const parts = this._splitDateTime(el);
+        return parts ? parts.date : '';
+    }
+
+    static _timeValue(el) {
+        if (!this._isDateTime(el)) return el.value;
+        const parts = this._splitDateTime(el);
+        return parts ? parts.time : '';
+    }
+
+    static validateDateTime(el) {
+        if (!el.value || !/\d/.test(el.value)) return null;
+        if (!this._splitDateTime(el)) {
+            return this.#error('datetime.invalid', { format: el.getAttribute('data-format') || 'MM/DD/YYYY HH:mm' }, el.getAttribute('data-errMsg'));
+        }
+        return this.validateDate(el) || this.validateTime(el);
+    }
+
+    static _timeTokens(fmt) {
+        const tokens = [];
+        for (let i = 0; i < fmt.length;) {
+            const rest = fmt.slice(i);
+            const unit = ['HH', 'hh', 'mm', 'ss', 'a'].find(u => rest.startsWith(u));
+            if (unit) {
+                tokens.push({ unit });
+                i += unit.length;
+            } else {
+                const last = tokens[tokens.length - 1];
+                if (last && last.literal !== undefined) last.literal += fmt[i];
+                else tokens.push({ literal: fmt[i] });
+                i++;
+            }
+        }
+        return tokens;
+    }
+
+    // Text time fields; native type="time" inputs and SharePoint hour/minute selects are read as before
+    static _isTextTime(el) {
+        if (el.tagName !== 'INPUT' || el.type === 'time') return false;
+        const container = el.closest('td, .ms-dtinput');
+        return !(container && container.querySelector('select'));
+    }
+
+    /**
+     * Splits a value according to a time format.
+     * @returns {{hour: number, minute: number, second: number, meridiem: string|null}|null}
+     *   The numbers as typed (no range checks), or null if the value does not follow the format.
+     */
+    static _parseTimeParts(value, fmt) {
+        const order = [];
+        const source = this._timeTokens(fmt).map(t => {
+            if (t.literal !== undefined) {
+                return t.literal.replace(/[\/\\^$*+?.()|[\]{}]/g, '\\$&').replace(/\s+/g, '\\s*');
+            }
+            order.push(t.unit);
+            return t.unit === 'a' ? '(?:([AaPp])\\.?\\s*[Mm]?\\.?)?' : '(\\d{1,2})';
+        }).join('');
+
+        const match = new RegExp(`^\\s*${source}\\s*$`).exec(value);
+        if (!match) return null;
+
+        const parts = { hour: NaN, minute: 0, second: 0, meridiem: null };
+        order.forEach((unit, i) => {
+            const v = match[i + 1];
+            if (unit === 'a') parts.meridiem = v ? (/[Aa]/.test(v) ? 'AM' : 'PM') : null;
+            else parts[{ HH: 'hour', hh: 'hour', mm: 'minute', ss: 'second' }[unit]] = parseInt(v, 10);
+        });
+        return parts;
+    }
+
+    // Minutes since midnight, or null when a part is out of range
+    static _parseTime(value, fmt) {
+        const parts = this._parseTimeParts(value, fmt);
+        if (!parts) return null;
+        const { minute, second, meridiem } = parts;
+        let hour = parts.hour;
+
+        if (fmt.includes('hh')) {
+            if (meridiem === null && fmt.includes('a')) return null;
+            if (hour < 1 || hour > 12) return null;
+            if (meridiem) hour = (hour % 12) + (meridiem === 'PM' ? 12 : 0);
+        }
+        if (isNaN(hour) || hour < 0 || hour > 23 || minute < 0 || minute > 59 || second < 0 || second > 59) return null;
+        return hour * 60 + minute + second / 60;
+    }
+
+    // Writes minutes since midnight in the field's time format
+    static _formatTime(minutes, el) {
+        const total = Math.round(minutes * 60);
+        const h = Math.floor(total / 3600) % 24;
+        const m = Math.floor(total / 60) % 60;
+        const sec = total % 60;
+        const pad = n => String(n).padStart(2, '0');
+        return this._timeTokens(this._timeFormat(el)).map(t => {
+            if (t.literal !== undefined) return t.literal;
+            if (t.unit === 'HH') return pad(h);
+            if (t.unit === 'hh') return pad(h % 12 || 12);
+            if (t.unit === 'mm') return pad(m);
+            if (t.unit === 'ss') return pad(sec);
+            return h < 12 ? 'AM' : 'PM';
+        }).join('');
+    }
+
+    // DECIMAL / CURRENCY
+    static validateNumber(el) {
+        if (!el.value) return null;
+        const conf = this._numberFormat(el);
+        const n = this._parseNumber(el.value, conf);
+        if (n === null) return null;
+        if (isNaN(n)) return this.#error('number.invalid', {}, el.getAttribute('data-errMsg'));
+
+        const min = el.getAttribute('min');
+        const max = el.getAttribute('max');
+        if (min !== null && min !== '' && n < parseFloat(min)) return this.#error('number.min', { min: parseFloat(min) });
+        if (max !== null && max !== '' && n > parseFloat(max)) return this.#error('number.max', { max: parseFloat(max) });
+        return null;
+    }
+
+    // Separators and symbol for a decimal/currency field: data-* attributes win over the locale's defaults
+    static _numberFormat(el) {
+        const maskerAttr = el.getAttribute('masker') || '';
+        const isCurrency = maskerAttr.split(/\s+/).includes('currency');
+        const locale = el.getAttribute('data-locale') || this.#locale;
+        const currency = el.getAttribute('data-currency');
+
+        let group = ',', decimal = '.', symbol = isCurrency ? '$' : '', position = 'prefix', precision = 2;
+        try {
+            const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+            group = (parts.find(p => p.type === 'group') || {}).value || group;
+            decimal = (parts.find(p => p.type === 'decimal') || {}).value || decimal;
+
+            if (isCurrency && currency) {
+                const money = new Intl.NumberFormat(locale, { style: 'currency', currency });
+                const moneyParts = money.formatToParts(1);
+                const symbolIndex = moneyParts.findIndex(p => p.type === 'currency');
+                symbol = moneyParts[symbolIndex].value;
+                position = symbolIndex < moneyParts.findIndex(p => p.type === 'integer') ? 'prefix' : 'suffix';
+                precision = money.resolvedOptions().maximumFractionDigits;
+            }
+        } catch (e) { /* unknown locale or currency: keep the defaults */ }
+
+        const precisionAttr = parseInt(el.getAttribute('data-precision'), 10);
+        return {
+            group: el.getAttribute('data-thousands') ?? group,
+            decimal: el.getAttribute('data-decimal') || decimal,
+            precision: isNaN(precisionAttr) ? precision : precisionAttr,
+            negative: maskerAttr.split(/\s+/).includes('negative'),
+            symbol: isCurrency ? (el.getAttribute('data-currency-symbol') ?? symbol) : '',
+            position: el.getAttribute('data-symbol-position') || position,
+            isCurrency
+        };
+    }
+
+    /**
+     * Reads a formatted decimal/currency value.
+     * @returns {number|null} The number, NaN if it cannot be read, or null when empty.
+     */
+    static _parseNumber(value, conf) {
+        let text = conf.symbol ? value.split(conf.symbol).join('') : value;
+        if (conf.group) text = text.split(conf.group).join('');
+        text = text.replace(/\s/g, '').split(conf.decimal).join('.');
+        if (text === '' || text === '-') return null;
+        return /^-?(\d+\.?\d*|\.\d+)$/.test(text) ? parseFloat(text) : NaN;
+    }
+
+    // PATTERN (data-mask)
+    static validatePattern(el) {
+        const mask = el.getAttribute('data-mask');
+        if (!el.value || !mask) return null;
+
+        const tokens = Masker._compilePattern(mask);
+        const placeholder = tokens.map(t => t.literal !== undefined ? t.literal : '_').join('');
+        if (el.value === placeholder) return null;
+
+        if (!new RegExp(`^${Masker._patternSource(tokens)}$`).test(el.value)) {
+            return this.#error('pattern.mismatch', { mask }, el.getAttribute('data-errMsg'));
+        }
+        return null;
+    }
+
+    // PHONE
+    // Checks the digit count of the data-format template and the country's leading-digit rule
+    static validatePhone(el) {
+        const digits = el.value.replace(/\D/g, '');
+        if (!digits) return null;
+
+        const { template, lead } = Masker._phoneFormat(el);
+        const expected = (template.match(/0/g) || []).length;
+        const override = el.getAttribute('data-errMsg');
+
+        if (digits.length !== expected) {
+            return this.#error('phone.length', { expected, actual: digits.length }, override);
+        }
+        if (lead && !lead.test(digits)) {
+            return this.#error('phone.prefix', { country: el.getAttribute('data-format') || 'US' }, override);
         }
         return null;
     }
@@ -325,17 +1087,39 @@ class MaskerValidator {
         const hasST = t1 !== null;
         const hasET = t2 !== null;
 
-        // Helper to get custom message or default
-        const getMsg = (defaultMsg) => {
-            return sd.getAttribute('data-err-msg-range') || 
-                   ed.getAttribute('data-err-msg-range') || 
-                   defaultMsg;
+        // Helper to build the range error, preferring a custom message from either side
+        const getMsg = (code, params = {}) => {
+            const custom = [sd, ed, st, et].map(f => f && f.getAttribute('data-err-msg-range')).find(Boolean);
+            return this.#error(code, params, custom);
         };
 
-        if (hasSD && hasED && !hasST && !hasET) return this.validateDateRange(sd, ed);
+        const pairAttr = name => this.#pairAttr([sd, st, ed, et], name);
+        // Date ranges allow a same-day start and end by default, time ranges do not
+        const allowEqual = fallback => {
+            const attr = pairAttr('data-pair-allow-equal');
+            return attr === null ? fallback : attr !== 'false';
+        };
+
+        if (hasSD && hasED && !hasST && !hasET) {
+            const order = this.validateDateRange(sd, ed);
+            if (order) return order;
+            const d1 = this.#toDate(sd);
+            const d2 = this.#toDate(ed);
+            if (!d1 || !d2) return null;
+            if (d1.getTime() === d2.getTime() && !allowEqual(true)) return getMsg('range.equal');
+            // Whole days, so a daylight-saving change doesn't shave off an hour
+            const days = Math.round((d2 - d1) / 86400000);
+            return this.#checkRangeDuration(days * 86400000, pairAttr, getMsg) || this.#rangeBlackout(sd, ed, d1, d2);
+        }
 
         if (hasST && hasET && !hasSD && !hasED) {
-            if (t1 >= t2) return getMsg('End time must be after start time.');
+            const [t1, t2] = this.#zonedTimes(st, et);
+            // Overnight shifts: an end before the start is on the next day (22:00-06:00)
+            if (t2 < t1 && this.#pairFlag([st, et], 'data-pair-overnight')) {
+                return this.#checkRangeDuration((t2 + 1440 - t1) * 60000, pairAttr, getMsg);
+            }
+            if (t1 > t2 || (t1 === t2 && !allowEqual(false))) return getMsg('range.end_time_before_start', { sameDay: false });
+            return this.#checkRangeDuration((t2 - t1) * 60000, pairAttr, getMsg);
         }
 
         if (hasSD && hasST && hasED && hasET) {
@@ -343,85 +1127,701 @@ class MaskerValidator {
             const d2_obj = this.#toDate(ed);
             if (!d1_obj || !d2_obj) return null;
 
+            // Real instants, so different time zones and daylight-saving changes are counted
+            const dt1 = this.#toDateTime(sd, st);
+            const dt2 = this.#toDateTime(ed, et);
             if (d1_obj.toDateString() === d2_obj.toDateString()) {
-                if (t1 >= t2) return getMsg('End time must be after start time on the same day.');
-            } else {
-                const dt1 = this.#toDateTime(sd, st);
-                const dt2 = this.#toDateTime(ed, et);
-                if (!dt1 || !dt2 || dt1 > dt2) return getMsg('End date must be on or after the start date.');
+                if (dt1 > dt2 || (+dt1 === +dt2 && !allowEqual(false))) return getMsg('range.end_time_before_start', { sameDay: true });
+            } else if (!dt1 || !dt2 || dt1 > dt2) {
+                return getMsg('range.end_before_start', {
+                    start: sd.title || this.formatMessage('range.start_label'),
+                    end: ed.title || this.formatMessage('range.end_label'),
+                    withTime: true
+                });
             }
+            return this.#checkRangeDuration(dt2 - dt1, pairAttr, getMsg) || this.#rangeBlackout(sd, ed, d1_obj, d2_obj);
         }
         return null;
     }
 
-    static #toDate(el) {
-        if (!el || !el.value) return null;
-        const v = el.value.trim();
+    // The begin/end members of el's data-pair, looked up in its form
+    static _pairMembers(el) {
+        const pairName = el.dataset.pair;
+        const scope = this._pairScope(el);
+        const find = selector => scope.querySelector(`[masker*="${selector}"][data-pair="${pairName}"]`);
+        // A datetime field is both the date and the time of its end
+        const start = find('datetime begin');
+        const end = find('datetime end');
+        return {
+            sd: start || find('date begin'),
+            st: start || find('time begin'),
+            ed: end || find('date end'),
+            et: end || find('time end')
+        };
+    }
 
-        // --- NEW: ROBUST ISO FALLBACK ---
-        // Instead of strict match, we look for YYYY-MM-DD or YYYY/MM/DD at the START.
-        // This accepts "2026-01-15", "2026-01-15T12:00:00Z", "2026/01/15", etc.
-        const isoMatch = v.match(/^(\d{4})[-\/](\d{2})[-\/](\d{2})/);
-        
-        if (isoMatch) {
-            const y = parseInt(isoMatch[1], 10);
-            const m = parseInt(isoMatch[2], 10);
-            const d = parseInt(isoMatch[3], 10);
-            
-            // Basic sanity check to ensure it's a real date
-            if (m >= 1 && m <= 12 && d >= 1 && d <= 31) {
-                return new Date(y, m - 1, d);
-            }
+    // CROSS-FIELD RULES
+    // data-match="#password": the text must equal the other field's (confirm email/password).
+    // data-greater-than="#min-qty": numbers, dates or times must be greater than the other field's.
+    // data-compare="#other" with data-compare-op="eq|ne|gt|gte|lt|lte" (default eq) for any other comparison.
+    // data-depends-on="#ship-elsewhere": required while the other field has a value (a checkbox: is checked).
+    static #compareOps = {
+        eq: diff => diff === 0,
+        ne: diff => diff !== 0,
+        gt: diff => diff > 0,
+        gte: diff => diff >= 0,
+        lt: diff => diff < 0,
+        lte: diff => diff <= 0
+    };
+
+    // The field a rule attribute points at, looked up in el's form first
+    static _compareField(el, attr) {
+        const selector = el.getAttribute(attr);
+        if (!selector) return null;
+        try {
+            return this._pairScope(el).querySelector(selector) || document.querySelector(selector);
+        } catch (e) {
+            return null; // not a valid selector
         }
+    }
 
-        // --- Standard Parsing Logic ---
-        const raw = el.getAttribute('data-format') || 'MDY';
-        const alias = { MDY: 'MM/DD/YYYY', DMY: 'DD/MM/YYYY', YMD: 'YYYY/MM/DD', 'US-CIV': 'MM/DD/YYYY' };
-        const fmt = alias[raw] || raw;
-        
-        // Strictly split by non-digits
-        const parts = v.split(/[^0-9]+/).filter(p => p !== "").map(n => parseInt(n, 10));
-        
-        // Strict length check (Must be exactly 3 parts: M, D, Y)
-        if (parts.length !== 3) return null;
-
-        let [mm, dd, yy] = [NaN, NaN, NaN];
-        
-        if (fmt.startsWith('M')) [mm, dd, yy] = parts;
-        else if (fmt.startsWith('D')) [dd, mm, yy] = parts;
-        else if (fmt.startsWith('Y')) [yy, mm, dd] = parts;
-        else return null; 
+    // Every field el's rules point at
+    static _compareFields(el) {
+        return ['data-match', 'data-greater-than', 'data-compare', 'data-depends-on']
+            .map(attr => this._compareField(el, attr))
+            .filter(f => f && f !== el);
+    }
 
-        if ([mm, dd, yy].some(n => isNaN(n))) return null;
-        if (mm < 1 || mm > 12) return null;
-        if (dd < 1 || dd > 31) return null;
+    // The fields whose rules point at el
+    static _compareDependents(el) {
+        return Array.from(this._pairScope(el).querySelectorAll('[data-match], [data-greater-than], [data-compare], [data-depends-on]'))
+            .filter(f => f !== el && this._compareFields(f).includes(el));
+    }
 
-        const daysInMonth = [0, 31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-        let maxDays = daysInMonth[mm];
+    // A timestamp for dates and times, a number for numeric fields, otherwise the text; null when empty
+    static #comparable(el) {
+        if (el.type === 'checkbox' || el.type === 'radio') return el.checked ? el.value : null;
+        if (!el.value || el.value === el.placeholder) return null;
 
-        if (mm === 2) {
-             const isLeap = (yy % 4 === 0 && yy % 100 !== 0) || (yy % 400 === 0);
-             if (isLeap) maxDays = 29;
+        const tokens = (el.getAttribute('masker') || '').split(/\s+/);
+        if (tokens.includes('datetime')) {
+            const date = this.#toDateTime(el, el);
+            return date ? date.getTime() : null;
+        }
+        if (tokens.includes('date')) {
+            const date = this.#toDate(el);
+            return date ? date.getTime() : null;
+        }
+        if (tokens.includes('time')) return this.#toTime(el);
+        if (tokens.includes('decimal') || tokens.includes('currency')) {
+            const n = this._parseNumber(el.value, this._numberFormat(el));
+            return n === null || isNaN(n) ? null : n;
         }
+        const text = el.value.trim();
+        return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+    }
 
-        if (dd > maxDays) return null;
+    /**
+     * Runs el's cross-field rules (data-depends-on, data-match, data-greater-than, data-compare).
+     * A rule is skipped while the field it points at is empty.
+     * @param {HTMLElement} el The field carrying the rules.
+     * @returns {{code: string, message: string, params: object}|null}
+     */
+    static validateComparison(el) {
+        const override = el.getAttribute('data-compare-errmsg');
 
-        return new Date(yy, mm - 1, dd);
-    }
+        const dependsOn = this._compareField(el, 'data-depends-on');
+        if (dependsOn && this.#comparable(dependsOn) !== null && this.#comparable(el) === null) {
+            return this.#error('compare.depends_on', { field: this.#fieldTitle(dependsOn, dependsOn.id || undefined) }, override);
+        }
 
-    static #toTime(el) {
-        // Handle native time inputs
-        if (el.type === 'time') {
-            if (!el.value) return null;
-            const [h, m] = el.value.split(':').map(n => parseInt(n, 10));
-            if (isNaN(h) || isNaN(m)) return null;
-            if (h < 0 || h > 23 || m < 0 || m > 59) return null; // Range check
-            return h * 60 + m;
+        const value = this.#comparable(el);
+        if (value === null) return null;
+
+        const rules = [
+            ['data-match', 'eq'],
+            ['data-greater-than', 'gt'],
+            ['data-compare', el.getAttribute('data-compare-op') || 'eq']
+        ];
+        for (const [attr, op] of rules) {
+            const other = this._compareField(el, attr);
+            const test = this.#compareOps[op];
+            if (!other || !test) continue;
+
+            // data-match compares the text as typed, so '1.0' does not confirm '1'
+            const a = attr === 'data-match' ? el.value : value;
+            const b = attr === 'data-match' ? other.value : this.#comparable(other);
+            if (b === null || b === '') continue;
+
+            const diff = typeof a === 'number' && typeof b === 'number' ? a - b : (a === b ? 0 : (String(a) < String(b) ? -1 : 1));
+            if (!test(diff)) return this.#error(`compare.${op}`, { field: this.#fieldTitle(other, other.id || undefined), op }, override);
         }
+        return null;
+    }
 
-        // Handle text inputs masked as time
-        const val = el.value;
-        if (!val || !val.includes(':')) return null;
+    // SEQUENCES
+    // data-pair-order="1", "2", … makes a data-pair an ordered list of steps (the legs of an itinerary).
+    // A step is a date, a time, a datetime, or a date and a time with the same order number.
+    static _sequenceSteps(el) {
+        const steps = new Map();
+        this._pairScope(el).querySelectorAll(`[data-pair="${el.dataset.pair}"][data-pair-order]`).forEach(f => {
+            const order = parseInt(f.getAttribute('data-pair-order'), 10);
+            if (isNaN(order)) return;
+            const tokens = (f.getAttribute('masker') || '').split(/\s+/);
+            if (!steps.has(order)) steps.set(order, { order, date: null, time: null });
+            const step = steps.get(order);
+            if (tokens.includes('datetime')) {
+                step.date = step.date || f;
+                step.time = step.time || f;
+            } else if (tokens.includes('date')) {
+                step.date = f;
+            } else if (tokens.includes('time')) {
+                step.time = f;
+            }
+        });
+        return [...steps.values()].sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Checks that el's step is on or after the nearest earlier step with a value. The error belongs to the
+     * field that is out of order: the date when the day is earlier, otherwise the time.
+     * @param {HTMLElement} el A field with data-pair and data-pair-order.
+     * @returns {{code: string, message: string, params: object}|null}
+     */
+    static validateSequence(el) {
+        const steps = this._sequenceSteps(el);
+        const at = steps.findIndex(s => s.date === el || s.time === el);
+        if (at < 1) return null;
+
+        const read = s => ({
+            date: s.date ? this.#toDate(s.date) : null,
+            time: s.time ? this.#toTime(s.time) : null
+        });
+        const step = steps[at];
+        const cur = read(step);
+        if (!cur.date && cur.time === null) return null;
+
+        let prevStep = null, prev = null;
+        for (let i = at - 1; i >= 0 && !prevStep; i--) {
+            const value = read(steps[i]);
+            if (value.date || value.time !== null) [prevStep, prev] = [steps[i], value];
+        }
+        if (!prevStep) return null;
+
+        let diff, culprit;
+        if (cur.date && prev.date) {
+            const days = Math.round((cur.date - prev.date) / 86400000);
+            if (cur.time !== null && prev.time !== null) {
+                diff = this.#toDateTime(step.date, step.time) - this.#toDateTime(prevStep.date, prevStep.time);
+                culprit = days < 0 ? step.date : step.time;
+            } else {
+                diff = days;
+                culprit = step.date;
+            }
+        } else if (!cur.date && !prev.date && cur.time !== null && prev.time !== null) {
+            const [t1, t2] = this.#zonedTimes(prevStep.time, step.time);
+            diff = t2 - t1;
+            culprit = step.time;
+        } else {
+            return null;
+        }
+
+        const fields = steps.flatMap(s => [s.date, s.time]);
+        const allowEqual = this.#pairAttr(fields, 'data-pair-allow-equal') !== 'false';
+        if (culprit !== el || diff > 0 || (diff === 0 && allowEqual)) return null;
+        return this.#error('range.out_of_order', { step: step.order, previous: prevStep.order }, this.#pairAttr(fields, 'data-err-msg-range'));
+    }
+
+    // Pair options may sit on any member
+    static #pairAttr(fields, name) {
+        return fields.map(f => f && f.getAttribute(name)).find(v => v !== null && v !== undefined) ?? null;
+    }
+
+    static #pairFlag(fields, name) {
+        const attr = this.#pairAttr(fields, name);
+        return attr !== null && attr !== 'false';
+    }
+
+    // The date and time fields on el's side of its pair (el itself outside a pair)
+    static _pairSide(el) {
+        if (!el.dataset.pair) return { date: el, time: el };
+        const { sd, st, ed, et } = this._pairMembers(el);
+        if (sd === el || st === el) return { date: sd, time: st };
+        if (ed === el || et === el) return { date: ed, time: et };
+        return { date: el, time: el };
+    }
+
+    // TIME ZONES
+    // data-timezone="Europe/London" (IANA) reads a field, and the other field on its side of a pair, in that zone.
+    // data-pair-timezone covers every side without its own. Without either, the browser's zone is used.
+    static _timeZone(el) {
+        if (!el) return null;
+        const { date, time } = this._pairSide(el);
+        let zone = this.#pairAttr([el, date, time], 'data-timezone');
+        if (zone === null && el.dataset.pair) zone = this.#pairAttr(Object.values(this._pairMembers(el)), 'data-pair-timezone');
+        if (!zone) return null;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return zone;
+        } catch (e) {
+            return null; // unknown zone: keep the browser's
+        }
+    }
+
+    static #zoneParts(ms, zone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: zone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(ms).forEach(p => { parts[p.type] = +p.value; });
+        return parts;
+    }
+
+    // The wall clock in zone at instant ms, as a local Date with the same fields
+    static _wallClock(ms, zone) {
+        const { year, month, day, hour, minute, second } = this.#zoneParts(ms, zone);
+        const date = new Date(year, month - 1, day, hour, minute, second);
+        date.setFullYear(year);
+        return date;
+    }
+
+    // zone's offset from UTC at instant ms, in minutes (-240 for New York in summer)
+    static _zoneOffset(ms, zone) {
+        const { year, month, day, hour, minute, second } = this.#zoneParts(ms, zone);
+        return Math.round((Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(ms / 1000) * 1000) / 60000);
+    }
+
+    // The instant of date at minutes past midnight on zone's clock
+    static _zonedInstant(date, minutes, zone) {
+        const wall = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) + Math.round(minutes * 60) * 1000;
+        // A second pass settles times near a daylight-saving change
+        const guess = wall - this._zoneOffset(wall, zone) * 60000;
+        return wall - this._zoneOffset(guess, zone) * 60000;
+    }
+
+    // Time-only pairs in different zones compare in UTC minutes, using today's offsets
+    static #zonedTimes(st, et) {
+        const t1 = this.#toTime(st);
+        const t2 = this.#toTime(et);
+        const z1 = this._timeZone(st);
+        const z2 = this._timeZone(et);
+        if (!z1 && !z2) return [t1, t2];
+
+        const now = Date.now();
+        const offset = zone => zone ? this._zoneOffset(now, zone) : -new Date(now).getTimezoneOffset();
+        return [t1 - offset(z1), t2 - offset(z2)];
+    }
+
+    /**
+     * Length of the range el belongs to, in minutes.
+     * @param {HTMLElement} el Any member of a data-pair range.
+     * @returns {number|null} Minutes from start to end, or null while the range is incomplete or reversed.
+     */
+    static getPairDuration(el) {
+        const { sd, st, ed, et } = this._pairMembers(el);
+        const d1 = sd ? this.#toDate(sd) : null;
+        const d2 = ed ? this.#toDate(ed) : null;
+        let t1 = st ? this.#toTime(st) : null;
+        let t2 = et ? this.#toTime(et) : null;
+        let minutes = null;
+
+        if (sd && ed && st && et) {
+            const dt1 = this.#toDateTime(sd, st);
+            const dt2 = this.#toDateTime(ed, et);
+            if (dt1 && dt2) minutes = Math.round((dt2 - dt1) / 60000);
+        } else if (sd && ed) {
+            if (d1 && d2) minutes = Math.round((d2 - d1) / 86400000) * 1440;
+        } else if (st && et && t1 !== null && t2 !== null) {
+            [t1, t2] = this.#zonedTimes(st, et);
+            minutes = t2 < t1 && this.#pairFlag([st, et], 'data-pair-overnight') ? t2 + 1440 - t1 : t2 - t1;
+        }
+        return minutes !== null && minutes >= 0 ? minutes : null;
+    }
+
+    // RANGE DURATION
+    // data-pair-min-duration / data-pair-max-duration: '30m', '1h30m', '14d', '2w' (w, d, h, m = minutes)
+    static _parseDuration(text) {
+        if (!text || !/^\s*(\d+\s*[wdhm]\s*)+$/i.test(text)) return null;
+        const ms = { w: 604800000, d: 86400000, h: 3600000, m: 60000 };
+        let total = 0;
+        for (const [, n, unit] of text.matchAll(/(\d+)\s*([wdhm])/gi)) total += parseInt(n, 10) * ms[unit.toLowerCase()];
+        return total;
+    }
+
+    // '1 day 2 hours' in the message language
+    static _formatDuration(ms) {
+        const parts = [];
+        let rest = Math.round(ms / 60000);
+        for (const [unit, size] of [['day', 1440], ['hour', 60], ['minute', 1]]) {
+            const n = Math.floor(rest / size);
+            rest -= n * size;
+            if (!n && (parts.length || unit !== 'minute' || rest)) continue;
+            try {
+                parts.push(new Intl.NumberFormat(this.#locale, { style: 'unit', unit, unitDisplay: 'long' }).format(n));
+            } catch (e) {
+                parts.push(`${n} ${unit}${n === 1 ? '' : 's'}`);
+            }
+        }
+        return parts.join(' ');
+    }
+
+    static #checkRangeDuration(span, pairAttr, getMsg) {
+        const min = this._parseDuration(pairAttr('data-pair-min-duration'));
+        if (min !== null && span < min) return getMsg('range.too_short', { min: this._formatDuration(min), minMinutes: min / 60000 });
+
+        const max = this._parseDuration(pairAttr('data-pair-max-duration'));
+        if (max !== null && span > max) return getMsg('range.too_long', { max: this._formatDuration(max), maxMinutes: max / 60000 });
+        return null;
+    }
+
+    // DATE FORMATS
+    // data-format accepts the short aliases or a full format string built from YYYY, MM, MMM (month
+    // abbreviation), DD and literal separators, e.g. 'DD-MMM-YYYY', 'DD.MM.YYYY', 'YYYY年MM月DD日'.
+    static _dateAliases = { MDY: 'MM/DD/YYYY', DMY: 'DD/MM/YYYY', YMD: 'YYYY/MM/DD', 'US-CIV': 'MM/DD/YYYY', 'US-MIL': 'YYYY MMM DD' };
+
+    static #monthCache = new Map();
+
+    // data-format as written (an alias or a format string); a datetime field contributes its date half
+    static #dateFormatName(el) {
+        if (this._isDateTime(el)) return this._dateTimeFormat(el).date;
+        return el.getAttribute('data-format') || 'MDY';
+    }
+
+    static _dateFormat(el) {
+        const raw = this.#dateFormatName(el);
+        return this._dateAliases[raw] || raw;
+    }
+
+    // Month names follow data-locale on the field, then the validator locale (US-MIL is always English)
+    static _dateLocale(el) {
+        if (this.#dateFormatName(el) === 'US-MIL') return 'en';
+        return el.getAttribute('data-locale') || this.#locale;
+    }
+
+    static _dateTokens(fmt) {
+        const tokens = [];
+        for (let i = 0; i < fmt.length;) {
+            const rest = fmt.slice(i);
+            const unit = ['YYYY', 'MMM', 'MM', 'DD'].find(u => rest.startsWith(u));
+            if (unit) {
+                tokens.push({ unit });
+                i += unit.length;
+            } else {
+                const last = tokens[tokens.length - 1];
+                if (last && last.literal !== undefined) last.literal += fmt[i];
+                else tokens.push({ literal: fmt[i] });
+                i++;
+            }
+        }
+        return tokens;
+    }
+
+    // Abbreviated month names for a locale, without trailing periods ('janv.' => 'janv')
+    static _monthNames(locale) {
+        if (!this.#monthCache.has(locale)) {
+            let names;
+            try {
+                const f = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+                names = Array.from({ length: 12 }, (_, i) => f.format(Date.UTC(2000, i, 1)).replace(/\.$/, ''));
+            } catch (e) {
+                names = null;
+            }
+            // Locales with numeric month names (e.g. ja '1月') cannot be typed as letters
+            if (!names || names.some(n => /\d/.test(n))) {
+                names = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+            }
+            this.#monthCache.set(locale, names);
+        }
+        return this.#monthCache.get(locale);
+    }
+
+    // Month names as the field displays them; military dates are written in capitals: 2026 JAN 15
+    static _dateMonths(el) {
+        const months = this._monthNames(this._dateLocale(el));
+        return this.#dateFormatName(el) === 'US-MIL' ? months.map(m => m.toUpperCase()) : months;
+    }
+
+    // Writes a Date in the field's data-format
+    static _formatDate(date, el) {
+        const months = this._dateMonths(el);
+        const pad = n => String(n).padStart(2, '0');
+        return this._dateTokens(this._dateFormat(el)).map(t => {
+            if (t.literal !== undefined) return t.literal;
+            if (t.unit === 'YYYY') return String(date.getFullYear()).padStart(4, '0');
+            if (t.unit === 'MMM') return months[date.getMonth()];
+            return pad(t.unit === 'MM' ? date.getMonth() + 1 : date.getDate());
+        }).join('');
+    }
+
+    // DATE BOUNDS
+    // data-min-date / data-max-date: an ISO date, 'today', a relative offset from today ('-18y', '+90d', 'today+2w'),
+    // or a selector for another date field.
+    static #relativeBound = /^(?:today)?\s*([+-])\s*(\d+)\s*([dwmy])$/i;
+
+    // The field a bound refers to, or null when the bound is a date expression
+    static _dateBoundField(el, expr) {
+        if (!expr || /^today$/i.test(expr.trim()) || this.#relativeBound.test(expr.trim()) || /^\d{4}-\d{2}-\d{2}$/.test(expr.trim())) return null;
+        try {
+            return this._pairScope(el).querySelector(expr) || document.querySelector(expr);
+        } catch (e) {
+            return null; // not a valid selector
+        }
+    }
+
+    static _resolveDateBound(el, expr) {
+        if (!expr) return null;
+        const text = expr.trim();
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        if (/^today$/i.test(text)) return today;
+
+        const rel = this.#relativeBound.exec(text);
+        if (rel) {
+            const n = parseInt(rel[2], 10) * (rel[1] === '-' ? -1 : 1);
+            const unit = rel[3].toLowerCase();
+            if (unit === 'd') today.setDate(today.getDate() + n);
+            if (unit === 'w') today.setDate(today.getDate() + n * 7);
+            if (unit === 'm') today.setMonth(today.getMonth() + n);
+            if (unit === 'y') today.setFullYear(today.getFullYear() + n);
+            return today;
+        }
+
+        const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+        if (iso) return new Date(+iso[1], +iso[2] - 1, +iso[3]);
+
+        const ref = this._dateBoundField(el, text);
+        return ref ? this.#toDate(ref) : null;
+    }
+
+    // data-max-days-out / data-min-days-out: limits counted in days from today
+    static #checkDaysOut(el) {
+        const date = this.#toDate(el);
+        if (!date) return null;
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const maxDaysOutAttr = el.getAttribute('data-max-days-out');
+        if (maxDaysOutAttr) {
+            const maxDaysOut = parseInt(maxDaysOutAttr, 10);
+            const cutoffDate = new Date(today);
+            cutoffDate.setDate(today.getDate() + maxDaysOut);
+            if (date > cutoffDate) {
+                return this.#error('date.max_days_out', { maxDays: maxDaysOut }, el.getAttribute('data-max-days-errmsg'));
+            }
+        }
+
+        const minDaysOutAttr = el.getAttribute('data-min-days-out');
+        if (minDaysOutAttr) {
+            const minDaysOut = parseInt(minDaysOutAttr, 10);
+            const earliest = new Date(today);
+            earliest.setDate(today.getDate() + minDaysOut);
+            if (date < earliest) {
+                return this.#error('date.min_days_out', { minDays: minDaysOut }, el.getAttribute('data-min-days-errmsg'));
+            }
+        }
+        return null;
+    }
+
+    static #checkDateBounds(el) {
+        const date = this.#toDate(el);
+        if (!date) return null;
+
+        const min = this._resolveDateBound(el, el.getAttribute('data-min-date'));
+        if (min && date < min) {
+            return this.#error('date.before_min', { min: this._formatDate(min, el) }, el.getAttribute('data-min-date-errmsg'));
+        }
+        const max = this._resolveDateBound(el, el.getAttribute('data-max-date'));
+        if (max && date > max) {
+            return this.#error('date.after_max', { max: this._formatDate(max, el) }, el.getAttribute('data-max-date-errmsg'));
+        }
+        return null;
+    }
+
+    // DAY RULES
+    // weekdays-only, data-disabled-days="0,6" (0 = Sunday) and data-blackout-dates: a comma-separated list of
+    // ISO dates, or the name of a global function (e.g. 'Holidays.list') called with the field that returns
+    // ISO strings or Dates.
+    static _disabledDays(el) {
+        const days = new Set();
+        if ((el.getAttribute('masker') || '').includes('weekdays-only')) [0, 6].forEach(d => days.add(d));
+        (el.getAttribute('data-disabled-days') || '').split(',').forEach(d => {
+            const n = parseInt(d, 10);
+            if (n >= 0 && n <= 6) days.add(n);
+        });
+        return days;
+    }
+
+    static _blackoutDates(el) {
+        const attr = (el.getAttribute('data-blackout-dates') || '').trim();
+        if (!attr) return [];
+
+        let list = attr.split(',').map(d => d.trim()).filter(Boolean);
+        if (!list.every(d => /^\d{4}-\d{2}-\d{2}$/.test(d))) {
+            const provider = attr.split('.').reduce((o, key) => (o == null ? undefined : o[key]), globalThis);
+            if (typeof provider !== 'function') return [];
+            list = Array.from(provider(el) || []);
+        }
+        return list.map(d => d instanceof Date ? this.#dateKey(d) : String(d).slice(0, 10));
+    }
+
+    static #dateKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${String(date.getFullYear()).padStart(4, '0')}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static #checkDayRules(el) {
+        const date = this.#toDate(el);
+        if (!date) return null;
+
+        if (this._disabledDays(el).has(date.getDay())) {
+            // Named in the message language, like the rest of the text
+            let weekday;
+            try {
+                weekday = new Intl.DateTimeFormat(this.#locale, { weekday: 'long' }).format(date);
+            } catch (e) {
+                weekday = new Intl.DateTimeFormat('en', { weekday: 'long' }).format(date); // e.g. 'en_US'
+            }
+            return this.#error('date.disabled_day', { weekday, day: date.getDay() }, el.getAttribute('data-disabled-days-errmsg'));
+        }
+        if (this._blackoutDates(el).includes(this.#dateKey(date))) {
+            return this.#error('date.blackout', { date: this._formatDate(date, el) }, el.getAttribute('data-blackout-errmsg'));
+        }
+        return null;
+    }
+
+    // First blackout date of either field that falls inside the range
+    static #rangeBlackout(sd, ed, d1, d2) {
+        const from = this.#dateKey(d1), to = this.#dateKey(d2);
+        const blocked = [...this._blackoutDates(sd), ...this._blackoutDates(ed)].filter(k => k >= from && k <= to).sort();
+        if (!blocked.length) return null;
+
+        const [y, m, d] = blocked[0].split('-').map(Number);
+        const custom = sd.getAttribute('data-err-msg-range') || ed.getAttribute('data-err-msg-range');
+        return this.#error('range.includes_blackout', { date: this._formatDate(new Date(y, m - 1, d), ed) }, custom);
+    }
+
+    // Case, accent and period insensitive form used to compare month names
+    static _normalizeMonth(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f.]/g, '').toLocaleLowerCase();
+    }
+
+    /**
+     * Splits a value according to a date format.
+     * @returns {{year: string, month: number, monthText: string|null, day: string}|null}
+     *   Raw year/day digits and the month number (NaN for an unknown month name), or null if the
+     *   value does not have the format's shape.
+     */
+    static _parseDateParts(value, fmt, locale) {
+        const tokens = this._dateTokens(fmt);
+        const escape = str => str.replace(/[\/\\^$*+?.()|[\]{}]/g, '\\$&');
+        const source = tokens.map((t, i) => {
+            if (t.unit === 'YYYY') return '(\\d+)';
+            if (t.unit === 'MMM') return '(\\p{L}+\\.?)';
+            if (t.unit) return '(\\d{1,2})';
+            // Separators are lenient (any punctuation/space but a '_' hole); a trailing literal such as '日' may be left off
+            const optional = i === tokens.length - 1 ? '?' : '';
+            return `(?:${escape(t.literal)}|[^\\p{L}\\p{N}_]+)${optional}`;
+        }).join('');
+
+        const match = value.trim().match(new RegExp(`^${source}$`, 'u'));
+        if (!match) return null;
+
+        const parts = { year: '', month: NaN, monthText: null, day: '' };
+        tokens.filter(t => t.unit).forEach((t, i) => {
+            const text = match[i + 1];
+            if (t.unit === 'YYYY') parts.year = text;
+            else if (t.unit === 'DD') parts.day = text;
+            else if (t.unit === 'MM') parts.month = parseInt(text, 10);
+            else {
+                parts.monthText = text;
+                parts.month = this.#monthFromName(text, locale);
+            }
+        });
+        return parts;
+    }
+
+    static #monthFromName(text, locale) {
+        const wanted = this._normalizeMonth(text);
+        for (const names of [this._monthNames(locale), this._monthNames('en')]) {
+            const index = names.findIndex(n => this._normalizeMonth(n) === wanted);
+            if (index !== -1) return index + 1;
+        }
+        return NaN;
+    }
+
+    // Shared with Masker for canonical values
+    static _toDate(el) {
+        return this.#toDate(el);
+    }
+
+    static _toTime(el) {
+        return this.#toTime(el);
+    }
+
+    static #toDate(el) {
+        if (!el || !el.value) return null;
+        const v = this._dateValue(el).trim();
+        if (!v) return null;
+
+        // --- NEW: ROBUST ISO FALLBACK ---
+        // Instead of strict match, we look for YYYY-MM-DD or YYYY/MM/DD at the START.
+        // This accepts "2026-01-15", "2026-01-15T12:00:00Z", "2026/01/15", etc.
+        const isoMatch = v.match(/^(\d{4})[-\/](\d{2})[-\/](\d{2})/);
+        
+        if (isoMatch) {
+            const y = parseInt(isoMatch[1], 10);
+            const m = parseInt(isoMatch[2], 10);
+            const d = parseInt(isoMatch[3], 10);
+            
+            // Basic sanity check to ensure it's a real date
+            if (m >= 1 && m <= 12 && d >= 1 && d <= 31) {
+                return new Date(y, m - 1, d);
+            }
+        }
+
+        // --- Standard Parsing Logic ---
+        const parts = this._parseDateParts(v, this._dateFormat(el), this._dateLocale(el));
+        if (!parts) return null;
+
+        const [mm, dd, yy] = [parts.month, parseInt(parts.day, 10), parseInt(parts.year, 10)];
+
+        if ([mm, dd, yy].some(n => isNaN(n))) return null;
+        if (mm < 1 || mm > 12) return null;
+        if (dd < 1 || dd > 31) return null;
+
+        const daysInMonth = [0, 31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+        let maxDays = daysInMonth[mm];
+
+        if (mm === 2) {
+             const isLeap = (yy % 4 === 0 && yy % 100 !== 0) || (yy % 400 === 0);
+             if (isLeap) maxDays = 29;
+        }
+
+        if (dd > maxDays) return null;
+
+        return new Date(yy, mm - 1, dd);
+    }
+
+    static #toTime(el) {
+        // Handle native time inputs (seconds appear when step < 60)
+        if (el.type === 'time') {
+            if (!el.value) return null;
+            const [h, m, sec = 0] = el.value.split(':').map(n => parseFloat(n));
+            if (isNaN(h) || isNaN(m)) return null;
+            if (h < 0 || h > 23 || m < 0 || m > 59) return null; // Range check
+            return h * 60 + m + sec / 60;
+        }
+
+        // Handle text inputs masked as time, in their data-format
+        if (this._isTextTime(el)) {
+            const value = this._timeValue(el);
+            return value ? this._parseTime(value, this._timeFormat(el)) : null;
+        }
+
+        const val = el.value;
+        if (!val || !val.includes(':')) return null;
 
         const parts = val.split(':');
         const hrs = parseInt(parts[0], 10);
@@ -446,7 +1846,10 @@ class MaskerValidator {
         const dateObj = this.#toDate(de);
         const mins = this.#toTime(te);
         if (!dateObj || mins === null) return null;
-        dateObj.setHours(Math.floor(mins / 60), mins % 60, 0, 0);
+        const zone = this._timeZone(de);
+        if (zone) return new Date(this._zonedInstant(dateObj, mins, zone));
+        const secs = Math.round(mins * 60);
+        dateObj.setHours(Math.floor(secs / 3600), Math.floor(secs / 60) % 60, secs % 60, 0);
         return dateObj;
     }
 
@@ -462,11 +1865,13 @@ class MaskerValidator {
 
         // 2. Existing Logic (RESTORED)
         // This ensures fields using 'data-pair' without your new attribute still work
-        if (el.dataset.pair) {
+        // (steps of a data-pair-order sequence show their own errors)
+        if (el.dataset.pair && !el.hasAttribute('data-pair-order')) {
             const pairName = el.dataset.pair;
-            const endEl = document.querySelector(`[masker*="end"][data-pair="${pairName}"]`);
+            const scope = MaskerValidator._pairScope(el);
+            const endEl = scope.querySelector(`[masker*="end"][data-pair="${pairName}"]`);
             if (endEl) {
-                const timePartner = endEl.getAttribute('masker')?.includes('time') ? endEl : document.querySelector(`[masker*="time end"][data-pair="${pairName}"]`);
+                const timePartner = endEl.getAttribute('masker')?.includes('time') ? endEl : scope.querySelector(`[masker*="time end"][data-pair="${pairName}"]`);
                 if (timePartner) {
                     return MaskerValidator.findNextSelectWithPartialId(timePartner, 'Minutes') || timePartner;
                 }
@@ -487,6 +1892,69 @@ class Masker {
     // registry for observers: each record { target, observer, descriptor }
     static _observers = [];
 
+    // registry of masks: token => { setup, apply, placeholder, teardown }.
+    // First token match in insertion order wins, so built-ins keep their original precedence.
+    static _masks = new Map();
+
+    // bound masks: el => { def, active }
+    static #bindings = new WeakMap();
+
+    // default validation delay in ms; override per field with data-debounce
+    static debounce = 300;
+    static #validationTimers = new WeakMap();
+
+    // template-masked fields: el => commit(), which drops the unfilled '_' tail shown while focused
+    static #templates = new WeakMap();
+
+    static {
+        this._masks.set('char-count', { setup: el => this.#setupCharCounter(el) });
+        this._masks.set('number', {
+            setup: el => {
+                const minNum = el.min ? parseInt(el.min, 10) : null;
+                const maxNum = el.max ? parseInt(el.max, 10) : null;
+                this.#setupNumberMask(el, minNum, maxNum);
+            }
+        });
+        this._masks.set('decimal', { setup: el => this.#setupDecimalMask(el) });
+        this._masks.set('currency', { setup: el => this.#setupDecimalMask(el) });
+        this._masks.set('phone', { setup: el => this.#setupPhoneMask(el) });
+        this._masks.set('pattern', { setup: el => this.#setupPatternMask(el) });
+        this._masks.set('email', { setup: el => this.#setupEmailMask(el) });
+        this._masks.set('time', { setup: el => this.#setupTimeField(el) });
+        this._masks.set('date', {
+            setup: el => {
+                this.#setupDateMask(el);
+                el.addEventListener('change', e => this.#handleValidation(e.target));
+            }
+        });
+        this._masks.set('datetime', {
+            setup: el => {
+                this.#setupDateTimeMask(el);
+                el.addEventListener('change', e => this.#handleValidation(e.target));
+            }
+        });
+    }
+
+    /**
+     * Registers an input mask for a masker token (e.g. masker="plate required").
+     * @param {string} token The masker token that activates the mask.
+     * @param {object} def
+     *   - setup(el): called once when the element is bound (and again if it is re-inserted after teardown).
+     *   - apply(value, el): called on every input; return the formatted value.
+     *   - placeholder: string or function(el) shown on focus (always shown with the 'visible' token).
+     *   - teardown(el): called when a bound element is removed while an observer is active.
+     */
+    static defineMask(token, def = {}) {
+        if (typeof token !== 'string' || !token.trim() || /\s/.test(token.trim())) {
+            throw new TypeError('Masker.defineMask: token must be a single word.');
+        }
+        if (typeof def.setup !== 'function' && typeof def.apply !== 'function') {
+            throw new TypeError('Masker.defineMask: a mask needs a setup or an apply function.');
+        }
+        this._masks.set(token.trim(), def);
+        return this;
+    }
+
     // Utility: is element visible (conservative)
     static #isVisible(el) {
         try {
@@ -578,6 +2046,11 @@ class Masker {
         // Bind each node
         nodes.forEach(el => this.#bindElement(el, includeHidden));
 
+        // Opt-in submit interception for <form masker-form>
+        const formRoot = containerElement || document;
+        if (formRoot.matches && formRoot.matches('form[masker-form]')) this.#bindForm(formRoot);
+        formRoot.querySelectorAll('form[masker-form]').forEach(form => this.#bindForm(form));
+
         // Setup observer(s) if requested
         if (observe) {
             const observeTarget = (containerElement && containerElement.nodeType) ? containerElement : document.body;
@@ -602,6 +2075,13 @@ class Masker {
                 const mo = new MutationObserver(mutations => {
                     for (const m of mutations) {
                         if (m.type !== 'childList') continue;
+                        m.removedNodes.forEach(node => {
+                            if (node.nodeType !== 1 || node.isConnected) return;
+                            try {
+                                this.#teardownElement(node);
+                                if (node.querySelectorAll) node.querySelectorAll('[masker]').forEach(n => this.#teardownElement(n));
+                            } catch (ignore) { /* defensive */ }
+                        });
                         m.addedNodes.forEach(node => {
                             if (node.nodeType !== 1) return;
                             try {
@@ -614,6 +2094,8 @@ class Masker {
                                     if (node.matches && (node.matches('[masker]') || node.matches('[required]'))) this.#bindElement(node, descriptor.includeHidden);
                                     if (node.querySelectorAll) node.querySelectorAll('[masker], [required]').forEach(n => this.#bindElement(n, descriptor.includeHidden));
                                 }
+                                if (node.matches && node.matches('form[masker-form]')) this.#bindForm(node);
+                                if (node.querySelectorAll) node.querySelectorAll('form[masker-form]').forEach(f => this.#bindForm(f));
                             } catch (ignore) { /* defensive */ }
                         });
                     }
@@ -662,8 +2144,16 @@ class Masker {
 
     // In class Masker
     static #bindElement(el, includeHidden = false) {
-    if (!el || el.dataset.maskBound === 'true') return;
-    if (!el.isConnected) return;
+    if (!el || !el.isConnected) return;
+    if (el.dataset.maskBound === 'true') {
+        // Re-inserted after teardown: listeners survived on the element, only setup needs to run again
+        const binding = this.#bindings.get(el);
+        if (binding && !binding.active) {
+            if (binding.def.setup) binding.def.setup(el);
+            binding.active = true;
+        }
+        return;
+    }
 
     if (!includeHidden) {
         try {
@@ -675,6 +2165,13 @@ class Masker {
 
     // This listener triggers the validation logic below
     el.addEventListener('blur', e => this.#handleValidation(e.target));
+    // Async checks (e.g. "username taken") also run while typing, throttled by the debounce.
+    // Looked up per event, so validators registered after init() are picked up too.
+    el.addEventListener('input', e => {
+        if (MaskerValidator.hasAsyncValidators(e.target)) this.#handleValidation(e.target);
+    });
+
+    this.#bindComparisons(el);
 
     const m = el.getAttribute('masker');
 
@@ -685,19 +2182,11 @@ class Masker {
 
     const tokenizedArr = m.split(' ').filter(Boolean);
 
-    if (tokenizedArr.includes('char-count')) this.#setupCharCounter(el);
-    else if (tokenizedArr.includes('number')) {
-        const minNum = el.min ? parseInt(el.min, 10) : null;
-        const maxNum = el.max ? parseInt(el.max, 10) : null;
-        this.#setupNumberMask(el, minNum, maxNum);
-    }
-    else if (tokenizedArr.includes('phone')) this.#setupPhoneMask(el);
-    else if (tokenizedArr.includes('email')) this.#setupEmailMask(el);
-    else if (tokenizedArr.includes('time')) this.#setupTimeField(el);
-    else if (tokenizedArr.includes('date')) {
-        this.#setupDateMask(el);
-        el.addEventListener('change', e => this.#handleValidation(e.target));
-    }
+    const maskToken = Array.from(this._masks.keys()).find(token => tokenizedArr.includes(token));
+    if (maskToken) this.#applyMaskDefinition(el, this._masks.get(maskToken));
+
+    if (el.hasAttribute('data-mirror')) this.#setupMirror(el);
+    if (el.dataset.pair) this.#setupDurationOutput(el);
 
     if (tokenizedArr.includes('special')) {
         this.#setupFilterSpecialCharactersMask(el);
@@ -706,113 +2195,302 @@ class Masker {
     this.#addRequiredValidation(el);
 }
 
-    // In class Masker
+    static #applyMaskDefinition(el, def) {
+        const placeholder = typeof def.placeholder === 'function' ? def.placeholder(el) : def.placeholder;
 
-    static #clearAllErrorsForPair(el) {
-        // Always clear the current element's error
-        MaskerValidator.clearError(el);
+        if (placeholder) {
+            const visible = (el.getAttribute('masker') || '').includes('visible');
+            if (visible) el.value = placeholder;
 
-        // FEATURE: If 'single-line-errors' is present, DO NOT clear the partner's errors.
-        // This allows errors to exist on both lines simultaneously.
-        if (el.hasAttribute('single-line-errors')) {
-            return;
+            el.addEventListener('focus', e => {
+                if (!e.target.value) {
+                    e.target.value = placeholder;
+                    this.#trySetSelection(e.target, 0, 0);
+                }
+            });
+            el.addEventListener('keydown', e => {
+                if (e.target.value === placeholder && e.key === 'Backspace') e.target.value = '';
+            });
+            el.addEventListener('blur', e => {
+                if (e.target.value === placeholder && !visible) e.target.value = '';
+            });
         }
 
-        // DEFAULT: Legacy behavior clears all errors in the pair to prevent stale messages
-        if (el.dataset.pair) {
-            const pairName = el.dataset.pair;
-            document.querySelectorAll(`[data-pair="${pairName}"]`).forEach(p => {
-                MaskerValidator.clearError(p);
-                if (p.getAttribute('masker')?.includes('time')) {
-                    const minutesSelect = MaskerValidator.findNextSelectWithPartialId(p, 'Minutes');
-                    if (minutesSelect) MaskerValidator.clearError(minutesSelect);
-                }
+        if (def.apply) {
+            el.addEventListener('input', e => {
+                const out = def.apply(e.target.value, e.target);
+                if (typeof out === 'string' && out !== e.target.value) e.target.value = out;
             });
         }
-    }
 
-    static #handleValidation(el) {
-        setTimeout(() => {
-            this.#clearAllErrorsForPair(el);
-            
-            const errorMessage = MaskerValidator.validate(el);
-            if (errorMessage) {
-                // displayError handles finding the anchor (e.g. Minutes dropdown) internally
-                MaskerValidator.displayError(el, errorMessage);
-            }
-
-            // Sync Check for 'single-line-errors' mode
-            // If we didn't clear the partner above, we must re-validate them now
-            // to ensure they don't show a stale error if the conflict is resolved.
-            if (el.hasAttribute('single-line-errors') && el.dataset.pair) {
-                const pairName = el.dataset.pair;
-                document.querySelectorAll(`[data-pair="${pairName}"]`).forEach(p => {
-                    if (p === el) return;
-                    
-                    const pError = MaskerValidator.validate(p);
-                    if (pError) {
-                        MaskerValidator.displayError(p, pError);
-                    } else {
-                        MaskerValidator.clearError(p);
-                    }
-                });
-            }
-        }, 300);
+        if (def.setup) def.setup(el);
+        this.#bindings.set(el, { def, active: true });
     }
-   
 
-    static #addRequiredValidation(el) {
-        const m = el.getAttribute('masker') || '';
-        if (el.hasAttribute('required') || m.includes('required')) {
-            el.addEventListener('blur', e => MaskerValidator.validateRequired(e.target));
-            el.addEventListener('input', e => MaskerValidator.clearError(e.target));
-        }
+    static #teardownElement(el) {
+        const binding = this.#bindings.get(el);
+        if (!binding || !binding.active || !binding.def.teardown) return;
+        binding.def.teardown(el);
+        binding.active = false;
     }
 
-    // DATE MASK + VALIDATION
-    static #setupDateMask(el) {
-        const maskAttr = el.getAttribute('masker') || '';
-        const rawFmt = el.getAttribute('data-format') || 'MDY';
-        const alias = { MDY: 'MM/DD/YYYY', DMY: 'DD/MM/YYYY', YMD: 'YYYY/MM/DD', 'US-CIV': 'MM/DD/YYYY' };
-        const fmt = alias[rawFmt] || rawFmt;
-        const ph = fmt.replace(/[MDY]/g, '_');
-        const visible = maskAttr.includes('visible');
+    // FORM SUBMIT INTERCEPTION
+    static #bindForm(form) {
+        if (form.dataset.maskFormBound === 'true') return;
+        form.dataset.maskFormBound = 'true';
+        // Masker reports required fields itself; native bubbles would stop the submit event first
+        form.noValidate = true;
+
+        form.addEventListener('submit', e => {
+            // Our own re-submit after async validation passed
+            if (form.dataset.maskSubmitting === 'true') {
+                delete form.dataset.maskSubmitting;
+                return;
+            }
+
+            // Enter in a focused template field submits without a blur, so drop its '_' tail first
+            const active = document.activeElement;
+            if (this.#templates.has(active) && form.contains(active)) this.#templates.get(active)();
+
+            const fields = Array.from(form.querySelectorAll('[masker]'));
+            if (!fields.some(el => MaskerValidator.hasAsyncValidators(el))) {
+                const errors = MaskerValidator.validateForm(form);
+                this.#renderErrorSummary(form, errors);
+                if (errors.length) {
+                    e.preventDefault();
+                    this.#focusFirstError(form, errors);
+                }
+                return;
+            }
+
+            e.preventDefault();
+            const submitter = e.submitter;
+            MaskerValidator.validateFormAsync(form).then(errors => {
+                this.#renderErrorSummary(form, errors);
+                if (errors.length) {
+                    this.#focusFirstError(form, errors);
+                    return;
+                }
+                if (form.requestSubmit) {
+                    form.dataset.maskSubmitting = 'true';
+                    form.requestSubmit(submitter && submitter.form === form ? submitter : undefined);
+                } else {
+                    form.submit();
+                }
+            });
+        });
+    }
+
+    static #focusFirstError(form, errors) {
+        const first = errors.map(err => err.id && document.getElementById(err.id)).find(Boolean);
+        if (!first) return;
+        try { first.scrollIntoView({ block: 'center', behavior: 'smooth' }); } catch (e) { /* ignore */ }
+        try { first.focus({ preventScroll: true }); } catch (e) { /* ignore */ }
+    }
+
+    // Summary goes into the element named by data-error-summary, or at the top of the form
+    static #renderErrorSummary(form, errors) {
+        const targetId = form.getAttribute('data-error-summary');
+        const target = targetId ? document.getElementById(targetId) : null;
+
+        let summary = (target || form).querySelector('.error-summary');
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'error-summary';
+            summary.setAttribute('role', 'alert');
+            if (target) {
+                target.appendChild(summary);
+            } else {
+                form.insertAdjacentElement('afterbegin', summary);
+            }
+        }
 
-        if (rawFmt === 'US-MIL') {
-            return this.#setupMilDateMask(el);
+        summary.textContent = '';
+        if (!errors.length) {
+            summary.style.display = 'none';
+            return;
         }
 
-        if (visible) el.value = ph;
+        const title = document.createElement('p');
+        title.className = 'error-summary-title';
+        title.textContent = form.getAttribute('data-summary-title') || MaskerValidator.formatMessage('summary.title');
+
+        const list = document.createElement('ul');
+        errors.forEach(err => {
+            const item = document.createElement('li');
+            const text = `${err.title}: ${err.message}`;
+            if (err.id) {
+                const link = document.createElement('a');
+                link.href = `#${err.id}`;
+                link.textContent = text;
+                link.addEventListener('click', e => {
+                    e.preventDefault();
+                    this.#focusFirstError(form, [err]);
+                });
+                item.appendChild(link);
+            } else {
+                item.textContent = text;
+            }
+            list.appendChild(item);
+        });
 
-        const onInput = e => {
-            this.#applyDateMask(e, fmt);
-            MaskerValidator.clearError(e.target);
-        };
+        summary.append(title, list);
+        summary.style.display = '';
+    }
+
+    // In class Masker
+
+    static #clearAllErrorsForPair(el) {
+        // Always clear the current element's error
+        MaskerValidator.clearError(el);
 
-        el.addEventListener('focus', e => {
-            if (!e.target.value) {
-                e.target.value = ph;
-                this.#trySetSelection(e.target, 0, 0);
+        // FEATURE: If 'single-line-errors' is present, DO NOT clear the partner's errors.
+        // This allows errors to exist on both lines simultaneously.
+        if (el.hasAttribute('single-line-errors')) {
+            return;
+        }
+
+        // Validated fields joined by data-match and the like are cleared together too
+        MaskerValidator._compareFields(el).concat(MaskerValidator._compareDependents(el))
+            .filter(f => f.matches('[masker], [required]'))
+            .forEach(f => MaskerValidator.clearError(f));
+
+        // DEFAULT: Legacy behavior clears all errors in the pair to prevent stale messages
+        if (el.dataset.pair) {
+            const pairName = el.dataset.pair;
+            MaskerValidator._pairScope(el).querySelectorAll(`[data-pair="${pairName}"]`).forEach(p => {
+                MaskerValidator.clearError(p);
+                if (p.getAttribute('masker')?.includes('time')) {
+                    const minutesSelect = MaskerValidator.findNextSelectWithPartialId(p, 'Minutes');
+                    if (minutesSelect) MaskerValidator.clearError(minutesSelect);
+                }
+            });
+        }
+    }
+
+    static #handleValidation(el) {
+        // Debounce per element: a burst of blur/change/input events validates once
+        clearTimeout(this.#validationTimers.get(el));
+        const delay = parseInt(el.getAttribute('data-debounce'), 10);
+
+        this.#validationTimers.set(el, setTimeout(() => {
+            this.#validationTimers.delete(el);
+            this.#runValidation(el);
+        }, isNaN(delay) ? this.debounce : delay));
+    }
+
+    static #runValidation(el) {
+        this.#clearAllErrorsForPair(el);
+        
+        const error = MaskerValidator.getValidationResult(el);
+        if (error) {
+            // displayError handles finding the anchor (e.g. Minutes dropdown) internally
+            MaskerValidator.displayError(el, error);
+        }
+        if (MaskerValidator.hasAsyncValidators(el)) {
+            // Always start a run: it also aborts one still in flight, whose late result would hide this error
+            const run = MaskerValidator.getValidationResultAsync(el);
+            if (!error) {
+                run.then(asyncError => {
+                    if (run !== MaskerValidator._latestAsyncRun(el)) return;
+                    if (asyncError) {
+                        MaskerValidator.displayError(el, asyncError);
+                    } else {
+                        MaskerValidator.clearError(el);
+                    }
+                });
+            }
+        }
+
+        // Ordered steps: an edit can put another step out of order, and that step shows the error
+        if (el.dataset.pair && el.hasAttribute('data-pair-order') && !el.hasAttribute('single-line-errors')) {
+            MaskerValidator._pairScope(el).querySelectorAll(`[data-pair="${el.dataset.pair}"][data-pair-order]`).forEach(p => {
+                if (p === el || !p.value) return;
+                const pError = MaskerValidator.getValidationResult(p);
+                if (pError) MaskerValidator.displayError(p, pError);
+            });
+        }
+
+        // Cross-field rules: the fields whose rules point at el follow its changes
+        // (with 'single-line-errors', the fields el points at are rechecked as well)
+        const related = MaskerValidator._compareDependents(el).filter(p => p.value);
+        if (el.hasAttribute('single-line-errors')) related.push(...MaskerValidator._compareFields(el).filter(f => f.matches('[masker], [required]')));
+        related.forEach(p => {
+            const pError = MaskerValidator.getValidationResult(p);
+            if (pError) {
+                MaskerValidator.displayError(p, pError);
+            } else {
+                MaskerValidator.clearError(p);
             }
         });
-        el.addEventListener('input', onInput);
-        el.addEventListener('keydown', e => {
-            if (e.target.value === ph && e.key === 'Backspace') e.target.value = '';
+
+        // Sync Check for 'single-line-errors' mode
+        // If we didn't clear the partner above, we must re-validate them now
+        // to ensure they don't show a stale error if the conflict is resolved.
+        if (el.hasAttribute('single-line-errors') && el.dataset.pair) {
+            const pairName = el.dataset.pair;
+            MaskerValidator._pairScope(el).querySelectorAll(`[data-pair="${pairName}"]`).forEach(p => {
+                if (p === el) return;
+                
+                const pError = MaskerValidator.getValidationResult(p);
+                if (pError) {
+                    MaskerValidator.displayError(p, pError);
+                } else {
+                    MaskerValidator.clearError(p);
+                }
+            });
+        }
+    }
+   
+
+    // A field with data-match and the like is rechecked when a field it points at changes
+    static #bindComparisons(el) {
+        MaskerValidator._compareFields(el).forEach(other => {
+            other.addEventListener('change', () => {
+                if (el.value) {
+                    this.#handleValidation(el);
+                } else {
+                    MaskerValidator.clearError(el);
+                }
+            });
         });
+    }
 
-        // --- UPDATED BLUR LISTENER ---
-        el.addEventListener('blur', e => {
-            if (e.target.value === ph && !visible) {
-                e.target.value = '';
-            }
+    static #addRequiredValidation(el) {
+        const m = el.getAttribute('masker') || '';
+        if (el.hasAttribute('required') || m.includes('required')) {
+            el.addEventListener('blur', e => MaskerValidator.validateRequired(e.target));
+            el.addEventListener('input', e => MaskerValidator.clearError(e.target));
+        }
+    }
+
+    // DATE MASK + VALIDATION
+    static #setupDateMask(el) {
+        const fmt = MaskerValidator._dateFormat(el);
+        const tokens = MaskerValidator._dateTokens(fmt);
+        const ph = tokens.map(t => t.literal !== undefined ? t.literal : '_'.repeat(t.unit === 'MMM' ? 3 : t.unit.length)).join('');
+
+        // Month names are looked up per edit so a later setLocale() applies to bound fields
+        this.#bindTemplateMask(el, ph, (raw, typed) => this.#formatDate(raw, tokens, MaskerValidator._dateMonths(el), typed), { inPlace: true });
+        el.addEventListener('input', e => MaskerValidator.clearError(e.target));
+        el.addEventListener('paste', e => this.#pasteCanonical(e));
+
+        // A bound that names another field is rechecked when that field changes
+        ['data-min-date', 'data-max-date'].forEach(attr => {
+            const ref = MaskerValidator._dateBoundField(el, el.getAttribute(attr));
+            if (ref) ref.addEventListener('change', () => {
+                if (el.value && el.value !== ph) this.#handleValidation(el);
+            });
+        });
 
-            const errorMessage = MaskerValidator.validate(e.target);
+        el.addEventListener('blur', e => {
+            const error = MaskerValidator.getValidationResult(e.target);
 
             // SIMPLIFIED: Pass e.target directly. 
             // displayError will call _findErrorAnchor internally to place the text,
             // but keeps the error ID linked to e.target.
-            if (errorMessage) {
-                MaskerValidator.displayError(e.target, errorMessage);
+            if (error) {
+                MaskerValidator.displayError(e.target, error);
             } else {
                 MaskerValidator.clearError(e.target);
                 
@@ -824,65 +2502,143 @@ class Masker {
         });
     }
 
-    static #setupMilDateMask(el) {
-        const placeholder = 'YYYY MMM DD';
-        if (el.getAttribute('masker').includes('visible')) el.value = placeholder;
-        
-        el.addEventListener('input', this.#applyMilDateMask);
-        
-        el.addEventListener('focus', e => {
-            if (!e.target.value) {
-                e.target.value = placeholder;
-                this.#trySetSelection(e.target, 0, 0);
+    // Walks the format tokens over the typed text: digits fill YYYY/MM/DD, letters fill MMM,
+    // and separators are inserted only once something follows them. The tail is the unfilled rest.
+    // typed: length of the text typed so far; what follows is the old value after the caret. Its
+    // separators don't pad a short day or month, and its digits and letters stay in their own slot:
+    // a '_' hole is kept ('12/2_/2027') rather than pulling them across a separator.
+    static #formatDate(raw, tokens, months, typed = raw.length) {
+        let out = '', ci = 0, ti = 0, partial = 0;
+        const hasMore = (from = ci) => /[\p{L}\p{N}]/u.test(raw.slice(from));
+
+        for (; ti < tokens.length; ti++) {
+            const t = tokens[ti];
+            partial = 0;
+            if (!hasMore()) break;
+
+            if (t.literal !== undefined) {
+                out += t.literal;
+                // Skip the hole left by a slot that was filled up again: '2029_ FEB'
+                while (raw[ci] === '_') ci++;
+                if (raw.startsWith(t.literal, ci)) {
+                    ci += t.literal.length;
+                    // A separator typed just before the old one takes its place: '1/' + '/14' => '01/14'
+                    if (ci === typed && raw.startsWith(t.literal, ci)) ci += t.literal.length;
+                }
+                continue;
             }
-        });
-        
-        el.addEventListener('keydown', e => {
-            if (e.target.value === placeholder && e.key === 'Backspace') {
-                e.target.value = '';
+
+            if (t.unit === 'MMM') {
+                const month = this.#readMonth(raw, ci, months);
+                out += month.text;
+                ci = month.next;
+                if (!month.complete) {
+                    if (!hasMore()) {
+                        partial = month.text.length;
+                        break;
+                    }
+                    // Half a month name in the middle of the value keeps its place: '2028 M__ 15'
+                    out += '_'.repeat(Math.max(0, 3 - month.text.length));
+                    while (raw[ci] === '_') ci++;
+                }
+                continue;
             }
-        });
 
-        // --- CORRECTED BLUR LISTENER ---
-        el.addEventListener('blur', e => {
-            if (e.target.value === placeholder && !el.getAttribute('masker').includes('visible')) {
-                e.target.value = '';
+            const next = tokens[ti + 1];
+            const atNext = () => next && next.literal !== undefined && raw.startsWith(next.literal, ci);
+            const monthAhead = tokens.slice(ti + 1).some(n => n.unit === 'MMM');
+            let filled = 0, stopped = false;
+            while (filled < t.unit.length && ci < raw.length) {
+                const c = raw[ci];
+                if (/\d/.test(c) || (c === '_' && hasMore(ci + 1))) {
+                    out += c;
+                    filled++;
+                } else if (filled && t.unit !== 'YYYY' && ci < typed && /\d/.test(raw[ci - 1]) && (/\p{L}/u.test(c) || atNext())) {
+                    // A letter or separator typed right after a short day/month ends it: '3-jan' => '03-Jan'
+                    out = out.slice(0, -filled) + out.slice(-filled).padStart(t.unit.length, '0');
+                    filled = t.unit.length;
+                    break;
+                } else if ((monthAhead && /\p{L}/u.test(c)) || (ci >= typed && atNext())) {
+                    // Old digits and letters after this slot belong to the next ones: they are not pulled across
+                    stopped = true;
+                    break;
+                }
+                ci++;
+            }
+            if (stopped) {
+                // Keep the slot's hole so what follows stays in place: '202_ FEB 15', '12/2_/2027'
+                out += '_'.repeat(t.unit.length - filled);
+            } else if (filled < t.unit.length) {
+                partial = filled;
+                break;
+            } else {
+                // A full slot overwrites the old digits left in it
+                while (ci >= typed && /[\d_]/.test(raw[ci] || '') && next && next.literal !== undefined && raw.includes(next.literal, ci)) ci++;
             }
+        }
 
-            const errorMessage = MaskerValidator.validate(e.target);
+        const tail = tokens.slice(ti).map((t, i) => {
+            if (t.literal !== undefined) return t.literal;
+            const slots = t.unit === 'MMM' ? 3 : t.unit.length;
+            return '_'.repeat(Math.max(0, slots - (i ? 0 : partial)));
+        }).join('');
+        return { value: out, tail, next: ci };
+    }
 
-            if (errorMessage) {
-                // Pass e.target directly. 
-                // displayError will call _findErrorAnchor internally to place the text correctly.
-                MaskerValidator.displayError(e.target, errorMessage);
-            } else {
-                MaskerValidator.clearError(e.target);
-                
-                // Clear the visual anchor if it is different from the input
-                // We use the centralized helper here too
-                const anchor = this._findErrorAnchor(e.target);
-                if (anchor !== e.target) MaskerValidator.clearError(anchor);
+    // Reads letters for an MMM slot; it completes once they match exactly one month abbreviation
+    static #readMonth(raw, ci, months) {
+        const norm = text => MaskerValidator._normalizeMonth(text);
+        let typed = '';
+
+        while (ci < raw.length) {
+            const c = raw[ci];
+            if (c === '.') {
+                ci++;
+                continue;
             }
-        });
+            if (!/\p{L}/u.test(c)) break;
+            ci++;
+
+            const candidates = months.filter(m => norm(m).startsWith(norm(typed + c)));
+            if (!candidates.length) continue; // drop letters that no month name continues with
+            typed += c;
+
+            const exact = candidates.find(m => norm(m) === norm(typed));
+            if (exact && candidates.length === 1) return { text: exact, next: ci, complete: true };
+        }
+
+        // Once something follows, an exact name wins (e.g. 'mar' over 'mars'), then an unambiguous prefix ('fév' => 'févr')
+        const matches = typed ? months.filter(m => norm(m).startsWith(norm(typed))) : [];
+        const exact = matches.find(m => norm(m) === norm(typed)) || (matches.length === 1 ? matches[0] : null);
+        if (exact && ci < raw.length) return { text: exact, next: ci, complete: true };
+        return { text: typed, next: ci, complete: false };
     }
 
-    static #applyMilDateMask(e) {
-        const i = e.target;
-        const c = i.value.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
-        let out = c.slice(0, 4);
-        if (c.length > 4) out += ' ' + c.slice(4, 7);
-        if (c.length > 7) out += ' ' + c.slice(7, 9);
-        i.value = out;
+    // PAIR DURATION OUTPUT
+    // <output data-duration-for="shift"> shows the length of the 'shift' pair.
+    // data-duration-format: text (default, '8 hours 30 minutes'), hh:mm, minutes, hours
+    static #setupDurationOutput(el) {
+        const update = () => {
+            const outputs = MaskerValidator._pairScope(el).querySelectorAll(`[data-duration-for="${el.dataset.pair}"]`);
+            if (!outputs.length) return;
+
+            const minutes = MaskerValidator.getPairDuration(el);
+            outputs.forEach(out => {
+                const text = minutes === null ? '' : this.#formatPairDuration(minutes, out.getAttribute('data-duration-format'));
+                if (out.tagName === 'INPUT') out.value = text;
+                else out.textContent = text;
+                out.dataset.minutes = minutes ?? '';
+            });
+        };
+        ['input', 'change', 'blur'].forEach(type => el.addEventListener(type, update));
+        update();
     }
 
-    static #applyDateMask(e, fmt) {
-        const i = e.target;
-        const c = i.value.replace(/\D/g, '');
-        let out = '', ci = 0;
-        for (let j = 0; j < fmt.length && ci < c.length; j++) {
-            out += /[MDY]/.test(fmt[j]) ? c[ci++] : fmt[j];
-        }
-        i.value = out;
+    static #formatPairDuration(minutes, format) {
+        if (format === 'minutes') return String(minutes);
+        if (format === 'hours') return String(Math.round(minutes / 60 * 100) / 100);
+        if (format === 'hh:mm') return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        return MaskerValidator._formatDuration(minutes * 60000);
     }
 
     // CHAR COUNTER
@@ -970,6 +2726,314 @@ class Masker {
         });
     }
 
+    // DECIMAL / CURRENCY MASK
+    static #setupDecimalMask(el) {
+        if (!el.getAttribute('inputmode')) el.setAttribute('inputmode', 'decimal');
+
+        el.addEventListener('input', e => {
+            const input = e.target;
+            const conf = MaskerValidator._numberFormat(input);
+            const caret = input.selectionStart ?? input.value.length;
+            // Digits, the decimal separator and the minus sign anchor the caret; group separators and the symbol move around
+            const anchors = text => {
+                const plain = conf.symbol ? text.split(conf.symbol).join('\0'.repeat(conf.symbol.length)) : text;
+                const at = [];
+                for (let i = 0; i < plain.length; i++) {
+                    if (/[\d-]/.test(plain[i]) || plain.startsWith(conf.decimal, i)) at.push(i + 1);
+                }
+                return at;
+            };
+            const before = anchors(this.#formatDecimal(input.value.slice(0, caret), conf, false)).length;
+
+            input.value = this.#formatDecimal(input.value, conf, false);
+
+            const pos = before ? (anchors(input.value)[before - 1] ?? input.value.length) : 0;
+            this.#trySetSelection(input, pos, pos);
+        });
+
+        // Currency always shows its full precision once the user leaves the field: 3.5 => 3.50.
+        // Whole-number fields lose a dangling separator: 12. => 12
+        el.addEventListener('blur', e => {
+            const conf = MaskerValidator._numberFormat(e.target);
+            if ((conf.isCurrency || conf.precision === 0) && e.target.value) e.target.value = this.#formatDecimal(e.target.value, conf, true);
+        });
+    }
+
+    static #formatDecimal(raw, conf, padFraction) {
+        const text = conf.symbol ? raw.split(conf.symbol).join('') : raw;
+        const firstDigit = text.search(/\d/);
+        const minusAt = text.indexOf('-');
+        const negative = conf.negative && minusAt !== -1 && (firstDigit === -1 || minusAt < firstDigit);
+
+        const decimalAt = text.indexOf(conf.decimal);
+        const intDigits = (decimalAt === -1 ? text : text.slice(0, decimalAt)).replace(/\D/g, '').replace(/^0+(?=\d)/, '');
+        let fraction = decimalAt === -1 ? '' : text.slice(decimalAt + conf.decimal.length).replace(/\D/g, '').slice(0, conf.precision);
+
+        if (!intDigits && decimalAt === -1) return negative ? '-' : '';
+        if (padFraction && conf.precision > 0) fraction = fraction.padEnd(conf.precision, '0');
+
+        // With precision 0 the separator still ends the integer part (12.5 => 12.); padding drops it
+        const showDecimal = conf.precision > 0 ? decimalAt !== -1 || padFraction : decimalAt !== -1 && !padFraction;
+        const grouped = (intDigits || '0').replace(/\B(?=(\d{3})+(?!\d))/g, conf.group);
+        const number = grouped + (showDecimal ? conf.decimal + fraction : '');
+        const sign = negative ? '-' : '';
+
+        if (!conf.symbol) return sign + number;
+        return conf.position === 'suffix' ? `${sign}${number}\u00a0${conf.symbol}` : `${sign}${conf.symbol}${number}`;
+    }
+
+    /**
+     * Reads the numeric value of a number, decimal or currency field.
+     * @param {HTMLElement} el The masked input.
+     * @returns {number|null} The number, or null when the field is empty or unreadable.
+     */
+    static getNumber(el) {
+        const maskerAttr = el.getAttribute('masker') || '';
+        const tokens = maskerAttr.split(/\s+/);
+        let n;
+        if (tokens.includes('decimal') || tokens.includes('currency')) {
+            n = MaskerValidator._parseNumber(el.value, MaskerValidator._numberFormat(el));
+        } else {
+            n = el.value.trim() === '' ? null : Number(el.value.replace(/[^\d.-]/g, ''));
+        }
+        return n === null || isNaN(n) ? null : n;
+    }
+
+    // RAW / CANONICAL VALUES
+    /**
+     * Returns the value in its canonical form for the field's mask: ISO dates, E.164 phones
+     * (digits when the region has no dial code), plain numbers, pattern slots without literals.
+     * @param {HTMLElement} el The masked input.
+     * @returns {string|null} The canonical value, or null if the field is empty or incomplete.
+     */
+    static getRawValue(el) {
+        const tokens = (el.getAttribute('masker') || '').split(/\s+/);
+        if (['date', 'time', 'datetime'].some(t => tokens.includes(t))) return this.getValue(el, 'iso');
+        if (tokens.includes('phone')) return this.getValue(el, 'e164') ?? this.getValue(el, 'digits');
+        if (['number', 'decimal', 'currency'].some(t => tokens.includes(t))) return this.getValue(el, 'number');
+        if (tokens.includes('pattern')) {
+            const { value, slotEnds } = this.#formatPattern(el.value, this._compilePattern(el.getAttribute('data-mask') || ''));
+            return slotEnds.map(end => value[end - 1]).join('') || null;
+        }
+        return el.value === '' ? null : el.value;
+    }
+
+    /**
+     * Returns the value converted to a specific form.
+     * @param {HTMLElement} el The masked input.
+     * @param {'iso'|'e164'|'digits'|'number'} format
+     *   iso: YYYY-MM-DD for dates, HH:mm for times, YYYY-MM-DDTHH:mm for datetimes (times and datetimes
+     *   end with the UTC offset, e.g. -04:00, when the field has data-timezone); e164: +<dial code><number> for phones;
+     *   digits: every digit in the value; number: the numeric value as a string.
+     * @returns {string|null} The converted value, or null if the field is empty or cannot be converted.
+     */
+    static getValue(el, format) {
+        const tokens = (el.getAttribute('masker') || '').split(/\s+/);
+
+        if (format === 'digits') {
+            const digits = el.value.replace(/\D/g, '');
+            return digits || null;
+        }
+
+        if (format === 'number') {
+            const n = this.getNumber(el);
+            return n === null ? null : String(n);
+        }
+
+        if (format === 'iso') {
+            const pad = n => String(n).padStart(2, '0');
+            const isoDate = () => {
+                const date = MaskerValidator._toDate(el);
+                if (!date) return null;
+                return `${String(date.getFullYear()).padStart(4, '0')}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            };
+            const isoTime = () => {
+                const mins = MaskerValidator._toTime(el);
+                if (mins === null) return null;
+                const total = Math.round(mins * 60);
+                const hhmm = `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}`;
+                // Seconds only when the field has them
+                return /ss/.test(MaskerValidator._timeFormat(el)) || total % 60 ? `${hhmm}:${pad(total % 60)}` : hhmm;
+            };
+
+            if (tokens.includes('datetime')) {
+                const date = isoDate();
+                const time = isoTime();
+                return date && time ? `${date}T${time}${this.#isoOffset(el)}` : null;
+            }
+            if (tokens.includes('date')) return isoDate();
+            if (tokens.includes('time')) {
+                const time = isoTime();
+                return time && `${time}${this.#isoOffset(el)}`;
+            }
+            return null;
+        }
+
+        if (format === 'e164') {
+            if (!tokens.includes('phone')) return null;
+            const { dial, trunk } = this._phoneFormat(el);
+            let digits = el.value.replace(/\D/g, '');
+            if (!dial || !digits || MaskerValidator.validatePhone(el)) return null;
+            if (trunk && digits.startsWith(trunk)) digits = digits.slice(trunk.length);
+            return `+${dial}${digits}`;
+        }
+
+        throw new TypeError(`Masker.getValue: unknown format '${format}'.`);
+    }
+
+    // '+05:30' for a time or datetime field with data-timezone, at its date (today for a time without one)
+    static #isoOffset(el) {
+        const zone = MaskerValidator._timeZone(el);
+        if (!zone) return '';
+        const { date, time } = MaskerValidator._pairSide(el);
+        const day = (date && MaskerValidator._toDate(date)) || new Date();
+        const offset = MaskerValidator._zoneOffset(MaskerValidator._zonedInstant(day, MaskerValidator._toTime(time || el) || 0, zone), zone);
+        const abs = Math.abs(offset);
+        return `${offset < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Sets a field's value from code and formats it as if it had been typed.
+     * @param {HTMLElement} el The masked input.
+     * @param {string|number|Date|null} value Raw or canonical input: digits, an ISO date, a Date,
+     *   an E.164 phone or a plain number. null or '' empties the field. A Date, or an ISO datetime with an
+     *   offset, is shown on the clock of the field's data-timezone.
+     * @param {object} [options]
+     *   - validate: revalidate right away (default true). With false, any displayed error is cleared instead.
+     * @returns {string} The formatted value now in the field.
+     */
+    static setValue(el, value, { validate = true } = {}) {
+        clearTimeout(this.#validationTimers.get(el));
+        this.#validationTimers.delete(el);
+
+        el.value = this.#toMaskInput(el, value);
+        // The mask listeners do the formatting, and mirrors and counters follow along
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        clearTimeout(this.#validationTimers.get(el));
+        this.#validationTimers.delete(el);
+
+        if (validate && el.value !== '') {
+            this.#runValidation(el);
+        } else {
+            MaskerValidator.clearError(el);
+            const anchor = MaskerValidator._findErrorAnchor(el);
+            if (anchor !== el) MaskerValidator.clearError(anchor);
+        }
+        return el.value;
+    }
+
+    // Turns a canonical value into text the field's mask understands
+    static #toMaskInput(el, value) {
+        if (value === null || value === undefined || value === '') return '';
+        const tokens = (el.getAttribute('masker') || '').split(/\s+/);
+        const pad = n => String(n).padStart(2, '0');
+        const zone = MaskerValidator._timeZone(el);
+        // A Date is an instant: show it on the field's clock
+        if (value instanceof Date && !isNaN(value) && zone) value = MaskerValidator._wallClock(value.getTime(), zone);
+
+        if (tokens.includes('datetime')) {
+            let date = null;
+            if (value instanceof Date && !isNaN(value)) {
+                date = value;
+            } else {
+                // ISO date and time: 2025-03-14T09:30, 2025-03-14 09:30:15, 2025-03-14T09:30-04:00
+                const iso = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:?\d{2})?/.exec(String(value).trim());
+                if (iso && iso[7]) {
+                    const offset = iso[7] === 'Z' ? 0 : (iso[7][0] === '-' ? -1 : 1) * (+iso[7].slice(1, 3) * 60 + +iso[7].slice(-2));
+                    const ms = Date.UTC(+iso[1], +iso[2] - 1, +iso[3], +iso[4], +iso[5], +iso[6] || 0) - offset * 60000;
+                    date = zone ? MaskerValidator._wallClock(ms, zone) : new Date(ms);
+                } else if (iso) {
+                    date = new Date(+iso[1], +iso[2] - 1, +iso[3], +iso[4], +iso[5], +iso[6] || 0);
+                }
+            }
+            if (!date) return String(value);
+            const minutes = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+            return MaskerValidator._formatDate(date, el) + MaskerValidator._dateTimeFormat(el).separator + MaskerValidator._formatTime(minutes, el);
+        }
+
+        if (tokens.includes('date')) {
+            let parts = null;
+            if (value instanceof Date && !isNaN(value)) {
+                parts = { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate() };
+            } else {
+                const iso = /^(\d{4})-(\d{2})-(\d{2})(?:$|T)/.exec(String(value));
+                if (iso) parts = { year: +iso[1], month: +iso[2], day: +iso[3] };
+            }
+            if (!parts) return String(value);
+            return MaskerValidator._formatDate(new Date(parts.year, parts.month - 1, parts.day), el);
+        }
+
+        if (tokens.includes('time')) {
+            let minutes = null;
+            if (value instanceof Date && !isNaN(value)) {
+                minutes = value.getHours() * 60 + value.getMinutes() + value.getSeconds() / 60;
+            } else {
+                // 24-hour ISO time: 14:30 or 14:30:15
+                const iso = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+                if (iso && +iso[1] < 24 && +iso[2] < 60) minutes = +iso[1] * 60 + +iso[2] + (+iso[3] || 0) / 60;
+            }
+            if (minutes === null) return String(value);
+            if (el.type === 'time') return `${pad(Math.floor(minutes / 60))}:${pad(Math.floor(minutes) % 60)}`;
+            return MaskerValidator._formatTime(minutes, el);
+        }
+
+        if (tokens.includes('phone')) {
+            const text = String(value).trim();
+            const { dial, trunk } = this._phoneFormat(el);
+            // +44 7911 123456 => 07911123456
+            if (dial && text.startsWith('+')) {
+                const digits = text.replace(/\D/g, '');
+                if (digits.startsWith(dial)) return (trunk || '') + digits.slice(dial.length);
+            }
+            return text;
+        }
+
+        if (tokens.includes('decimal') || tokens.includes('currency')) {
+            const conf = MaskerValidator._numberFormat(el);
+            let text = String(value);
+            // Plain numbers (1234.5) use '.', whatever the field's locale
+            if (typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(text)) {
+                const n = Number(value);
+                if (isNaN(n)) return '';
+                text = (conf.precision > 0 ? n.toFixed(conf.precision).replace(/\.?0+$/, '') : n.toFixed(0)).replace('.', conf.decimal);
+            }
+            return this.#formatDecimal(text, conf, conf.isCurrency || conf.precision === 0);
+        }
+
+        return String(value);
+    }
+
+    // A pasted ISO value ('2025-12-31', '14:30') is converted instead of being read digit by digit
+    static #pasteCanonical(e) {
+        const el = e.target;
+        const text = e.clipboardData ? e.clipboardData.getData('text').trim() : '';
+        if (!text || this.#toMaskInput(el, text) === text) return;
+        e.preventDefault();
+        this.setValue(el, text);
+    }
+
+    // data-mirror="name" keeps a hidden input with that name filled with the canonical value
+    static #setupMirror(el) {
+        const name = el.getAttribute('data-mirror');
+        const scope = el.form || el.parentNode;
+        let hidden = Array.from(scope.querySelectorAll('input[type="hidden"]')).find(h => h.name === name);
+
+        if (!hidden) {
+            hidden = document.createElement('input');
+            hidden.type = 'hidden';
+            hidden.name = name;
+            el.insertAdjacentElement('afterend', hidden);
+        }
+
+        const sync = () => {
+            const format = el.getAttribute('data-mirror-format');
+            hidden.value = (format ? this.getValue(el, format) : this.getRawValue(el)) ?? '';
+        };
+        ['input', 'change', 'blur'].forEach(type => el.addEventListener(type, sync));
+        sync();
+    }
+
     // SPECIAL CHARACTERS MASK
     static #setupFilterSpecialCharactersMask(el) {
         el.addEventListener('input', e => {
@@ -982,55 +3046,373 @@ class Masker {
     }
 
     // PHONE MASK
+    // template: '0' is a digit slot; dial: country calling code (DSN has none); trunk: national prefix dropped in E.164;
+    // lead: what a complete national number must start with
+    static _phoneFormats = {
+        US: { template: '(000) 000-0000', dial: '1', lead: /^[2-9]\d\d[2-9]/ }, // NANP: area code and exchange never start with 0/1
+        DSN: { template: '000-000-0000', dial: null },
+        UK: { template: '00000 000000', dial: '44', trunk: '0', lead: /^0[1237-9]/ },
+        FR: { template: '00 00 00 00 00', dial: '33', trunk: '0', lead: /^0[1-9]/ },
+        DE: { template: '0000 0000000', dial: '49', trunk: '0', lead: /^0[1-9]/ },
+        JP: { template: '000-0000-0000', dial: '81', trunk: '0', lead: /^0[5789]0/ }, // 11 digits: mobile and IP numbers
+        IN: { template: '00000 00000', dial: '91', lead: /^[6-9]/ },
+        CN: { template: '000 0000 0000', dial: '86', lead: /^1[3-9]/ },
+        KR: { template: '00-0000-0000', dial: '82', trunk: '0', lead: /^0[1-9]/ },
+        BR: { template: '(00) 00000-0000', dial: '55', lead: /^[1-9][1-9]9/ }, // area code, then a mobile 9
+        AR: { template: '(000) 0000-0000', dial: '54', trunk: '0', lead: /^0[1-9]/ },
+        AU: { template: '0000 000 000', dial: '61', trunk: '0', lead: /^0[2-478]/ }
+    };
+
+    // Table entry for the field's data-format; anything else is treated as a custom template
+    static _phoneFormat(el) {
+        const code = el.getAttribute('data-format') || 'US';
+        return this._phoneFormats[code] || { template: code, dial: null };
+    }
+
+    // Country picker values: format codes (case-insensitive) or ISO 3166 'GB'
+    static _phoneCountry(value) {
+        const code = String(value || '').trim().toUpperCase();
+        const key = code === 'GB' ? 'UK' : code;
+        return this._phoneFormats[key] ? key : null;
+    }
+
     static #setupPhoneMask(el) {
-        const formats = {
-            US: '(000) 000-0000', DSN: '000-000-0000', UK: '00000 000000',
-            FR: '00 00 00 00 00', DE: '0000 0000000', JP: '000-0000-0000',
-            IN: '00000 00000', CN: '000 0000 0000', KR: '00-0000-0000',
-            BR: '(00) 00000-0000', AR: '(000) 0000-0000', AU: '0000 000 000'
-        };
-        const fmt = formats[el.getAttribute('data-format') || 'US'] || el.getAttribute('data-format');
-        const placeholder = fmt.replace(/0/g, '_');
-        if (el.getAttribute('masker').includes('visible')) {
-            el.value = placeholder;
-        }
+        // The template is read on every use so a linked country picker can switch it
+        const template = () => this._phoneFormat(el).template;
+        this.#bindTemplateMask(el, () => template().replace(/0/g, '_'), raw => this.#formatPhone(raw, template()));
+        this.#linkCountrySource(el);
+        el.addEventListener('paste', e => this.#pasteInternational(e));
+
+        el.addEventListener('blur', e => {
+            const error = MaskerValidator.getValidationResult(e.target);
 
-        el.addEventListener('focus', e => {
-            if (!e.target.value) {
-                e.target.value = placeholder;
-                this.#trySetSelection(e.target, 0, 0);
+            if (error) {
+                MaskerValidator.displayError(e.target, error);
+            } else {
+                MaskerValidator.clearError(e.target);
             }
         });
-        el.addEventListener('input', e => this.#applyPatternMask(e, fmt, '0'));
-        el.addEventListener('keydown', e => {
-            if (e.target.value === placeholder && e.key === 'Backspace') {
-                e.target.value = '';
+    }
+
+    // data-country-source="#country": the picker's value sets data-format; digits already typed are re-poured
+    static #linkCountrySource(el) {
+        const selector = el.getAttribute('data-country-source');
+        const source = selector ? document.querySelector(selector) : null;
+        if (!source) return;
+
+        const apply = validate => {
+            const code = this._phoneCountry(source.value);
+            if (!code || code === (el.getAttribute('data-format') || 'US')) return;
+            el.setAttribute('data-format', code);
+            this.setValue(el, el.value.replace(/\D/g, ''), { validate });
+        };
+        source.addEventListener('change', () => apply(true));
+        apply(false);
+    }
+
+    // A pasted '+44 7911 123456' switches the linked picker to that country and keeps the national number
+    static #pasteInternational(e) {
+        const el = e.target;
+        const text = e.clipboardData ? e.clipboardData.getData('text').trim() : '';
+        if (!text.startsWith('+')) return;
+        const digits = text.replace(/\D/g, '');
+
+        const selector = el.getAttribute('data-country-source');
+        const source = selector ? document.querySelector(selector) : null;
+        if (source) {
+            // Longest dial code wins
+            const code = Object.keys(this._phoneFormats)
+                .filter(k => this._phoneFormats[k].dial && digits.startsWith(this._phoneFormats[k].dial))
+                .sort((a, b) => this._phoneFormats[b].dial.length - this._phoneFormats[a].dial.length)[0];
+            const option = code && source.options
+                ? Array.from(source.options).find(o => this._phoneCountry(o.value) === code)
+                : null;
+            if (option || (code && !source.options)) {
+                source.value = option ? option.value : code;
+                source.dispatchEvent(new Event('change', { bubbles: true }));
             }
-        });
+        }
 
-        el.addEventListener('blur', e => {
-            if (e.target.value === placeholder && !el.getAttribute('masker').includes('visible')) {
-                e.target.value = '';
+        const { dial } = this._phoneFormat(el);
+        if (!dial || !digits.startsWith(dial)) return;
+        e.preventDefault();
+        this.setValue(el, text);
+    }
+
+    // Pours the digits into the template's '0' slots
+    static #formatPhone(raw, fmt) {
+        const digits = raw.replace(/\D/g, '');
+        let value = '', di = 0, i = 0;
+        for (; i < fmt.length && di < digits.length; i++) {
+            value += (fmt[i] === '0' ? digits[di++] : fmt[i]);
+        }
+        return { value, tail: fmt.slice(i).replace(/0/g, '_') };
+    }
+
+    // GENERIC PATTERN MASK
+    // data-mask slots: 9 = digit, A = letter, * = letter or digit. A '?' after a slot makes it optional,
+    // '\' makes the next character literal, and anything else is a literal.
+    static _patternSlots = { '9': /\d/, 'A': /[A-Za-z]/, '*': /[A-Za-z0-9]/ };
+
+    static _compilePattern(mask) {
+        const tokens = [];
+        for (let i = 0; i < mask.length; i++) {
+            const ch = mask[i];
+            if (ch === '\\' && i + 1 < mask.length) {
+                tokens.push({ literal: mask[++i] });
+            } else if (this._patternSlots[ch]) {
+                const optional = mask[i + 1] === '?';
+                if (optional) i++;
+                tokens.push({ test: this._patternSlots[ch], optional });
+            } else {
+                tokens.push({ literal: ch });
             }
+        }
+        return tokens;
+    }
 
-            const errorMessage = MaskerValidator.validate(e.target);
+    // Regex source for a run of compiled tokens
+    static _patternSource(tokens) {
+        return tokens.map(t => t.literal !== undefined
+            ? t.literal.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&')
+            : t.test.source + (t.optional ? '?' : '')).join('');
+    }
 
-            if (errorMessage) {
-                MaskerValidator.displayError(e.target, errorMessage);
+    // Returns the formatted value, the caret offset after each filled slot, and the unfilled tail
+    static #formatPattern(raw, tokens) {
+        let value = '', ti = 0, ci = 0;
+        let groupAt = 0, groupToken = 0; // where the slots since the last literal start
+        const slotEnds = [];
+
+        while (ti < tokens.length && ci < raw.length) {
+            const t = tokens[ti];
+            const c = raw[ci];
+            if (t.literal !== undefined) {
+                value += t.literal;
+                ti++;
+                groupAt = value.length;
+                groupToken = ti;
+                if (c === t.literal) ci++;
+            } else if (t.test.test(c)) {
+                value += c;
+                slotEnds.push(value.length);
+                ti++;
+                ci++;
+            } else if (t.optional) {
+                ti++;
             } else {
-                MaskerValidator.clearError(e.target);
+                // A typed literal closes the group early when its optional slots can stay empty,
+                // e.g. '1-' in 9?9-99 puts the 1 in the required slot
+                const next = tokens.findIndex((u, i) => i > ti && u.literal !== undefined);
+                const closes = next !== -1 && c === tokens[next].literal
+                    && new RegExp(`^${this._patternSource(tokens.slice(groupToken, next))}$`).test(value.slice(groupAt));
+                if (closes) ti = next;
+                else ci++;
             }
-        });
+        }
+
+        // Only optional slots left means the value is complete
+        const rest = tokens.slice(ti);
+        const tail = rest.some(t => t.test && !t.optional) ? rest.map(t => t.literal !== undefined ? t.literal : '_').join('') : '';
+        return { value, slotEnds, tail };
     }
 
-    static #applyPatternMask(e, fmt, ph) {
-        const input = e.target;
-        const digits = input.value.replace(/\D/g, '');
-        let out = '', di = 0;
-        for (let i = 0; i < fmt.length && di < digits.length; i++) {
-            out += (fmt[i] === ph ? digits[di++] : fmt[i]);
+    static #setupPatternMask(el) {
+        const tokens = this._compilePattern(el.getAttribute('data-mask') || '');
+        const placeholder = tokens.map(t => t.literal !== undefined ? t.literal : '_').join('');
+        this.#bindTemplateMask(el, placeholder, raw => this.#formatPattern(raw, tokens));
+    }
+
+    // TEMPLATE EDITING (date, phone, pattern)
+    // template: the '_' template, or a function returning it when the template can change.
+    // format(raw, typed) returns { value, tail }: the formatted text and the unfilled rest of the template.
+    // typed is how much of raw was typed before the caret; the rest is the old text after it.
+    // While the field has focus the tail stays visible, so typing fills the '_' slots in place.
+    // The caret is tracked by counting letters, digits and '_' holes, which survive reformatting; literals don't.
+    // inPlace (date and time): an edit inside the value overwrites the slots after the caret and a deletion
+    // leaves '_' holes, so nothing moves into the next segment.
+    static #bindTemplateMask(el, template, format, { inPlace = false } = {}) {
+        const placeholder = () => typeof template === 'function' ? template() : template;
+        const visible = (el.getAttribute('masker') || '').includes('visible');
+        const isSlot = c => /[\p{L}\p{N}]/u.test(c);
+        const countSlots = text => Array.from(text).filter(c => isSlot(c) || c === '_').length;
+        const history = [];
+        let at = -1, last = el.value, filled = last.length, composing = false, restoring = false;
+
+        // Anything after the caret with no letter or digit in it is the old tail
+        const render = (raw, caret) => {
+            const head = raw.slice(0, caret);
+            const rest = Array.from(raw.slice(caret)).some(isSlot) ? raw.slice(caret) : '';
+            const typedText = format(head).value;
+            // Holes at the end of head are dropped by format() but still sit before the caret
+            const typed = countSlots(typedText) + (rest ? /_*$/.exec(head)[0].length : 0);
+            const out = format(head + rest, head.length);
+            if (!Array.from(out.value).some(isSlot)) return { value: '', tail: placeholder(), pos: 0 };
+
+            let pos = 0;
+            for (let seen = 0; pos < out.value.length && seen < typed; pos++) {
+                if (isSlot(out.value[pos]) || out.value[pos] === '_') seen++;
+            }
+            // Step over literals the typed text ends with, e.g. the '-' just typed in '1-'
+            const trailing = text => {
+                const chars = Array.from(text);
+                return chars.length - chars.findLastIndex(c => isSlot(c) || c === '_') - 1;
+            };
+            const literals = Math.max(trailing(typedText), trailing(head));
+            for (let i = 0; i < literals && pos < out.value.length && !isSlot(out.value[pos]); i++) pos++;
+            return { ...out, pos };
+        };
+
+        // Lines the edit up with the previous value, slot by slot. Returns null when the edit is at the end
+        // of the value (plain typing) or the old text can't be found after the caret.
+        const overwrite = (raw, caret) => {
+            const rest = raw.slice(caret);
+            if (!Array.from(rest).some(isSlot) || !last.endsWith(rest)) return null;
+
+            const literals = placeholder().replace(/_/g, '');
+            const isPosition = c => c === '_' || (isSlot(c) && !literals.includes(c));
+            const end = last.length - rest.length;
+            let start = 0;
+            while (start < Math.min(caret, end) && raw[start] === last[start]) start++;
+            const typed = raw.slice(start, caret);
+            const chars = last.split('');
+
+            if (typed && !Array.from(typed).some(isSlot)) {
+                // A separator typed after a short segment ends it, once the segment's old rest is dropped
+                let b = start;
+                while (b < chars.length && isPosition(chars[b])) b++;
+                if (start === end && start && isSlot(chars[start - 1]) && last.startsWith(typed, b)) {
+                    return { raw: last.slice(0, start) + typed + last.slice(b), caret: start + typed.length };
+                }
+                return { raw: last, caret: start };
+            }
+
+            for (let i = start; i < end; i++) {
+                if (isPosition(chars[i])) chars[i] = '_';
+            }
+            let i = start;
+            for (const c of typed) {
+                if (!isSlot(c)) continue;
+                while (i < chars.length && !isPosition(chars[i])) i++;
+                if (i === chars.length) break;
+                chars[i++] = c;
+            }
+            return { raw: chars.join(''), caret: typed ? i : start };
+        };
+
+        const edit = (raw, caret) => {
+            const aligned = inPlace ? overwrite(raw, caret) : null;
+            return aligned ? render(aligned.raw, aligned.caret) : render(raw, caret);
+        };
+
+        const show = ({ value, tail, pos }) => {
+            const focused = el.ownerDocument.activeElement === el;
+            el.value = focused ? value + tail : (value || (visible ? placeholder() : ''));
+            last = el.value;
+            filled = value.length;
+            if (focused) this.#trySetSelection(el, pos, pos);
+        };
+
+        const record = ({ value, pos }) => {
+            if (restoring || (at >= 0 && history[at].value === value)) return;
+            history.splice(at + 1);
+            history.push({ value, pos });
+            at = history.length - 1;
+        };
+
+        const travel = step => {
+            const entry = history[at + step];
+            if (!entry) return;
+            at += step;
+            restoring = true;
+            el.value = entry.value;
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            restoring = false;
+            this.#trySetSelection(el, entry.pos, entry.pos);
+        };
+
+        // Drops the tail; runs on blur and before the form validates a still-focused field
+        const commit = () => {
+            const { value } = render(el.value, el.value.length);
+            el.value = value || (visible ? placeholder() : '');
+            last = el.value;
+            filled = value.length;
+        };
+        this.#templates.set(el, commit);
+
+        if (visible && !el.value) {
+            el.value = placeholder();
+            filled = 0;
         }
-        input.value = out;
+
+        el.addEventListener('focus', () => {
+            const out = render(el.value, el.value.length);
+            if (at < 0) record(out);
+            if (!out.tail) return;
+            el.value = out.value + out.tail;
+            last = el.value;
+            filled = out.value.length;
+            this.#trySetSelection(el, out.value.length, out.value.length);
+        });
+
+        el.addEventListener('input', e => {
+            // IME: leave the text alone until the composition is committed
+            if (composing || e.isComposing) return;
+
+            let raw = el.value;
+            let caret = el.selectionStart ?? raw.length;
+            // Typed into the shown template past the end of the value: keep only the new text
+            if (inPlace && caret > filled) {
+                let from = filled;
+                while (from < caret && raw[from] === last[from]) from++;
+                const typed = raw.slice(from, caret);
+                raw = raw.slice(0, filled) + typed + raw.slice(caret);
+                caret = filled + typed.length;
+            }
+            let out = edit(raw, caret);
+
+            // Deleting only a literal would change nothing, so take the letter or digit beside it too
+            if (out.value + out.tail === last && (e.inputType === 'deleteContentBackward' || e.inputType === 'deleteContentForward')) {
+                const chars = Array.from(raw);
+                const i = e.inputType === 'deleteContentBackward'
+                    ? chars.slice(0, caret).findLastIndex(isSlot)
+                    : chars.findIndex((c, j) => j >= caret && isSlot(c));
+                if (i !== -1) {
+                    chars.splice(i, 1);
+                    out = edit(chars.join(''), e.inputType === 'deleteContentBackward' ? i : caret);
+                }
+            }
+
+            show(out);
+            record(out);
+        });
+
+        el.addEventListener('blur', commit);
+
+        // Setting the value from script clears the browser's undo stack, so keep our own
+        el.addEventListener('keydown', e => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                travel(-1);
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                travel(1);
+            }
+        });
+        el.addEventListener('beforeinput', e => {
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                e.preventDefault();
+                travel(e.inputType === 'historyUndo' ? -1 : 1);
+            }
+        });
+
+        el.addEventListener('compositionstart', () => { composing = true; });
+        el.addEventListener('compositionend', () => {
+            composing = false;
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+        });
     }
 
     // EMAIL MASK
@@ -1064,10 +3446,10 @@ class Masker {
                 removePlaceholder();
             }
 
-            const errorMessage = MaskerValidator.validate(el);
+            const error = MaskerValidator.getValidationResult(el);
 
-            if (errorMessage) {
-                MaskerValidator.displayError(el, errorMessage);
+            if (error) {
+                MaskerValidator.displayError(el, error);
             } else {
                 MaskerValidator.clearError(el);
             }
@@ -1088,9 +3470,9 @@ class Masker {
 
         if (el.tagName === 'INPUT' && el.type === 'time') {
             el.addEventListener('blur', e => {
-                const errorMessage = MaskerValidator.validate(e.target);
-                if (errorMessage) {
-                    MaskerValidator.displayError(e.target, errorMessage);
+                const error = MaskerValidator.getValidationResult(e.target);
+                if (error) {
+                    MaskerValidator.displayError(e.target, error);
                 } else {
                     MaskerValidator.clearError(e.target);
                 }
@@ -1098,6 +3480,11 @@ class Masker {
             return;
         }
 
+        if (MaskerValidator._isTextTime(el)) {
+            this.#setupTimeMask(el);
+            return;
+        }
+
         if (isBegin || isEnd) {
             const container = el.closest('td, .ms-dtinput');
             if (!container) {
@@ -1106,11 +3493,11 @@ class Masker {
             }
             container.querySelectorAll('select').forEach(select => {
                 select.addEventListener('blur', () => {
-                    const errorMessage = MaskerValidator.validate(el);
+                    const error = MaskerValidator.getValidationResult(el);
                     const minutesSelect = MaskerValidator.findNextSelectWithPartialId(el, 'Minutes');
 
-                    if (errorMessage) {
-                        MaskerValidator.displayError(minutesSelect || el, errorMessage);
+                    if (error) {
+                        MaskerValidator.displayError(minutesSelect || el, error);
                     } else {
                         MaskerValidator.clearError(el);
                         if (minutesSelect) MaskerValidator.clearError(minutesSelect);
@@ -1120,6 +3507,175 @@ class Masker {
         }
     }
 
+    // TIME TEXT MASK
+    static #setupTimeMask(el) {
+        const tokens = MaskerValidator._timeTokens(MaskerValidator._timeFormat(el));
+        const twelveHour = tokens.some(t => t.unit === 'a');
+        const ph = tokens.map(t => t.literal !== undefined ? t.literal : '__').join('');
+        const digitSlots = tokens.filter(t => t.unit && t.unit !== 'a').length * 2;
+
+        if (twelveHour) this.#bindMeridiemKeys(el, digitSlots);
+
+        this.#bindTemplateMask(el, ph, (raw, typed) => this.#formatTime(raw, tokens, typed), { inPlace: true });
+        el.addEventListener('input', e => MaskerValidator.clearError(e.target));
+        el.addEventListener('paste', e => this.#pasteCanonical(e));
+
+        el.addEventListener('blur', e => {
+            // data-step="15": round to the nearest 15 minutes
+            const step = parseInt(el.getAttribute('data-step'), 10);
+            const minutes = MaskerValidator._toTime(el);
+            if (step > 0 && minutes !== null) {
+                let rounded = Math.round(minutes / step) * step;
+                if (rounded >= 1440) rounded = Math.floor(minutes / step) * step;
+                el.value = MaskerValidator._formatTime(rounded, el);
+            }
+
+            const error = MaskerValidator.getValidationResult(e.target);
+            if (error) {
+                MaskerValidator.displayError(e.target, error);
+            } else {
+                MaskerValidator.clearError(e.target);
+            }
+        });
+    }
+
+    // Typing a or p, or pressing an arrow key, sets AM/PM once all digitSlots digits are in
+    static #bindMeridiemKeys(el, digitSlots) {
+        el.addEventListener('keydown', e => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (el.value.replace(/\D/g, '').length < digitSlots) return;
+
+            const key = e.key.toLowerCase();
+            let meridiem;
+            if (key === 'a' || key === 'p') meridiem = key;
+            else if (key === 'arrowup' || key === 'arrowdown') meridiem = /PM$/.test(el.value) ? 'a' : 'p';
+            else return;
+
+            e.preventDefault();
+            el.value = el.value.replace(/_/g, '').replace(/[AP]M$/, '') + meridiem;
+            el.setSelectionRange(el.value.length, el.value.length);
+            el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: meridiem }));
+        });
+    }
+
+    // DATETIME MASK
+    // The date mask and the time mask side by side, joined by the separator from data-format
+    static #setupDateTimeMask(el) {
+        const { separator } = MaskerValidator._dateTimeFormat(el);
+        const dateTokens = MaskerValidator._dateTokens(MaskerValidator._dateFormat(el));
+        const timeTokens = MaskerValidator._timeTokens(MaskerValidator._timeFormat(el));
+        const datePh = dateTokens.map(t => t.literal !== undefined ? t.literal : '_'.repeat(t.unit === 'MMM' ? 3 : t.unit.length)).join('');
+        const timePh = timeTokens.map(t => t.literal !== undefined ? t.literal : '__').join('');
+
+        if (timeTokens.some(t => t.unit === 'a')) {
+            const digitSlots = dateTokens.reduce((n, t) => n + (t.unit && t.unit !== 'MMM' ? t.unit.length : 0), 0) +
+                timeTokens.filter(t => t.unit && t.unit !== 'a').length * 2;
+            this.#bindMeridiemKeys(el, digitSlots);
+        }
+
+        this.#bindTemplateMask(el, datePh + separator + timePh, (raw, typed = raw.length) => {
+            const date = this.#formatDate(raw, dateTokens, MaskerValidator._dateMonths(el), typed);
+            if (date.tail) return { value: date.value, tail: date.tail + separator + timePh };
+
+            let rest = raw.slice(date.next);
+            if (!/[\p{L}\p{N}]/u.test(rest)) return { value: date.value, tail: separator + timePh };
+            if (separator.trim() && rest.trimStart().startsWith(separator.trim())) rest = rest.trimStart().slice(separator.trim().length);
+
+            const time = this.#formatTime(rest, timeTokens, typed - (raw.length - rest.length));
+            return { value: date.value + separator + time.value, tail: time.tail };
+        }, { inPlace: true });
+        el.addEventListener('input', e => MaskerValidator.clearError(e.target));
+        el.addEventListener('paste', e => this.#pasteCanonical(e));
+
+        el.addEventListener('blur', e => {
+            const error = MaskerValidator.getValidationResult(e.target);
+            if (error) {
+                MaskerValidator.displayError(e.target, error);
+            } else {
+                MaskerValidator.clearError(e.target);
+                const anchor = MaskerValidator._findErrorAnchor(e.target);
+                if (anchor !== e.target) MaskerValidator.clearError(anchor);
+            }
+        });
+    }
+
+    // Digits fill the HH/hh/mm/ss slots; a first digit that cannot start a two-digit value is padded ('9' => '09'),
+    // and a or p fills the AM/PM slot.
+    // typed works as in #formatDate: only separators typed before the caret pad a single digit, and the
+    // old digits after the caret keep their slot ('1_:30').
+    static #formatTime(raw, tokens, typed = raw.length) {
+        let out = '', ci = 0, ti = 0, partial = 0;
+        const hasMore = (from = ci) => /[\p{L}\p{N}]/u.test(raw.slice(from));
+        const firstMax = { HH: 2, hh: 1, mm: 5, ss: 5 };
+        const meridiemAhead = tokens.some(t => t.unit === 'a');
+
+        for (; ti < tokens.length; ti++) {
+            const t = tokens[ti];
+            partial = 0;
+            if (!hasMore()) break;
+
+            if (t.literal !== undefined) {
+                out += t.literal;
+                // Skip the hole left by a slot that was filled up again: '10_:30'
+                while (raw[ci] === '_') ci++;
+                if (raw.startsWith(t.literal, ci)) {
+                    ci += t.literal.length;
+                    // A separator typed just before the old one takes its place: '9:' + ':30' => '09:30'
+                    if (ci === typed && raw.startsWith(t.literal, ci)) ci += t.literal.length;
+                }
+                continue;
+            }
+
+            if (t.unit === 'a') {
+                const m = /[AaPp]/.exec(raw.slice(ci));
+                if (!m) break;
+                out += /[Aa]/.test(m[0]) ? 'AM' : 'PM';
+                ci = raw.length;
+                continue;
+            }
+
+            const next = tokens[ti + 1];
+            const atNext = () => next && next.literal !== undefined && raw.startsWith(next.literal, ci);
+            let filled = 0, stopped = false;
+            while (filled < 2 && ci < raw.length) {
+                const c = raw[ci];
+                if (/\d/.test(c)) {
+                    if (!filled && +c > firstMax[t.unit] && ci < typed) {
+                        out += '0';
+                        filled++;
+                    }
+                    out += c;
+                    filled++;
+                } else if (c === '_' && hasMore(ci + 1)) {
+                    out += c;
+                    filled++;
+                } else if (filled === 1 && ci < typed && /\d/.test(raw[ci - 1]) && /[^_\s]/.test(c)) {
+                    // A separator or letter right after one digit ends the slot: '9:' => '09:'
+                    out = out.slice(0, -1) + '0' + out.slice(-1);
+                    filled = 2;
+                    break;
+                } else if ((meridiemAhead && /\p{L}/u.test(c)) || (ci >= typed && atNext())) {
+                    // AM/PM and the old digits after this slot stay where they are: '09:3_ PM', '1_:30'
+                    stopped = true;
+                    break;
+                }
+                ci++;
+            }
+            if (stopped) {
+                out += '_'.repeat(2 - filled);
+            } else if (filled < 2) {
+                partial = filled;
+                break;
+            } else {
+                // A full slot overwrites the old digits left in it: '9' typed over '10:30' => '09:30'
+                while (ci >= typed && /[\d_]/.test(raw[ci] || '') && next && next.literal !== undefined && raw.includes(next.literal, ci)) ci++;
+            }
+        }
+
+        const tail = tokens.slice(ti).map((t, i) => t.literal !== undefined ? t.literal : '_'.repeat(2 - (i ? 0 : partial))).join('');
+        return { value: out, tail };
+    }
+
     static #limitInput(e) {
         const t = e.target;
         if (t.maxLength < 0) return;
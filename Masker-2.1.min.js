@@ -1,95 +1,320 @@
-class MaskerValidator{static triggerAllValidations(){document.querySelectorAll('[masker]').forEach(el=>{const errorMessage=this.validate(el);const anchor=this._findErrorAnchor(el);if(errorMessage){this.displayError(el,errorMessage)}else{this.clearError(el)}});const formErrors=[];const errorSpans=document.getElementsByClassName('error-msg');Array.from(errorSpans).forEach(span=>{if(span.style.display!=='none'&&span.textContent.trim()!==''){const message=span.textContent.trim();const inputId=span.dataset.errorFor;const inputElement=document.getElementById(inputId);const inputTitle=inputElement?(inputElement.title||inputElement.name):'Field';formErrors.push({id:inputId,title:inputTitle,message:message})}});return formErrors}
-static validate(el,priority={'required':1,'format':2,'complex':3}){const maskerAttr=el.getAttribute('masker')||'';const checkRequired=()=>{if(el.hasAttribute('required')||maskerAttr.includes('required')){return this.validateRequired(el)}
-return null};const checkFormat=()=>{if(el.value&&el.value!==el.placeholder){if(maskerAttr.startsWith('date'))return this.validateDate(el);if(maskerAttr.startsWith('email'))return this.validateEmail(el);if(maskerAttr.startsWith('time'))return this.validateTime(el);}
-return null};const checkComplex=()=>{if(el.dataset.pair){const pairName=el.dataset.pair;const sd=document.querySelector(`[masker*="date begin"][data-pair="${pairName}"]`);const st=document.querySelector(`[masker*="time begin"][data-pair="${pairName}"]`);const ed=document.querySelector(`[masker*="date end"][data-pair="${pairName}"]`);const et=document.querySelector(`[masker*="time end"][data-pair="${pairName}"]`);if((sd&&ed)||(st&&et)){return this.validateDateTimeRange(sd,st,ed,et)}}
-return null};const checkFunctions={required:checkRequired,format:checkFormat,complex:checkComplex};const sortedChecks=Object.keys(priority).sort((a,b)=>priority[a]-priority[b]);for(const priFunction of sortedChecks){if(checkFunctions[priFunction]){const error=checkFunctions[priFunction]();if(error)return error}}
+class MaskerValidator{static _validators=new Map();static #runs=new WeakMap();static #displayed=new WeakMap();static register(token,{format,message,priority=2,async=!1}={}){if(typeof token!=='string'||!token.trim()||/\s/.test(token.trim())){throw new TypeError('MaskerValidator.register: token must be a single word.')}
+if(['required','format','complex'].includes(token)){throw new TypeError(`MaskerValidator.register: '${token}' is a reserved check name.`)}
+if(!this.#isRegExp(format)&&typeof format!=='function'){throw new TypeError('MaskerValidator.register: format must be a RegExp or a function.')}
+this._validators.set(token.trim(),{code:token.trim(),format,message,priority,async:!!async});return this}
+static unregister(token){return this._validators.delete(token)}
+static #isRegExp(value){return Object.prototype.toString.call(value)==='[object RegExp]'}
+static #locale='en';static _messages={en:{'invalid':'Please enter a valid value.','required':'This field is required.','summary.title':'Please correct the following errors:','field.default':'Field','email.invalid':'Please enter a valid email address.','time.invalid':'Please enter a valid time ({format}).','datetime.invalid':'Please enter a valid date and time ({format}).','time.meridiem':'Please choose AM or PM.','pattern.mismatch':'Please complete the required format.','phone.length':'Phone number must have {expected} digits.','phone.prefix':'This is not a valid {country} phone number.','number.invalid':'Please enter a valid number.','number.min':'Value must be at least {min}.','number.max':'Value must be at most {max}.','date.invalid':'Date is not valid.','date.year_required':'Year is required.','date.year_digits':'Year must be {digits} digits.','date.year_invalid':'Year is not valid.','date.year_in_future':'Year cannot be in the future.','date.year_in_past':'Year cannot be in the past.','date.year_before_min':'Year cannot be before {min}.','date.year_out_of_range':'Year must be between {min} and {max}.','date.month_range':'Month must be 01-12.','date.month_name':'"{month}" is not a valid month.','date.day_range':'Day must be 01-31.','date.leap_day':'Invalid date: {month}/{day} does not exist in year {year}.','date.day_not_in_month':'Invalid date: {month}/{day} does not exist in year {year}.','date.max_days_out':'Date cannot be more than {maxDays} days in the future.','date.min_days_out':'Date must be at least {minDays} days in the future.','date.before_min':'Date cannot be before {min}.','date.after_max':'Date cannot be after {max}.','date.disabled_day':'{weekday} is not available.','date.blackout':'{date} is not available.','range.start_label':'Start date','range.end_label':'End date','range.end_before_start':p=>p.withTime?'End date must be on or after the start date.':`${p.start} cannot be set after ${p.end}`,'range.equal':'Start and end cannot be the same.','range.too_short':'The range must be at least {min}.','range.too_long':'The range cannot be longer than {max}.','range.includes_blackout':'The range cannot include {date}.','range.end_time_before_start':p=>p.sameDay?'End time must be after start time on the same day.':'End time must be after start time.','range.out_of_order':'Step {step} must be on or after step {previous}.','compare.eq':'This must match {field}.','compare.ne':'This must be different from {field}.','compare.gt':'This must be greater than {field}.','compare.gte':'This must be at least {field}.','compare.lt':'This must be less than {field}.','compare.lte':'This must be at most {field}.','compare.depends_on':'This field is required when {field} is set.'},fr:{'invalid':'Veuillez saisir une valeur valide.','required':'Ce champ est obligatoire.','summary.title':'Veuillez corriger les erreurs suivantes :','field.default':'Champ','email.invalid':'Veuillez saisir une adresse e-mail valide.','time.invalid':'Veuillez saisir une heure valide ({format}).','datetime.invalid':'Veuillez saisir une date et une heure valides ({format}).','time.meridiem':'Veuillez choisir AM ou PM.','pattern.mismatch':'Veuillez respecter le format requis.','phone.length':'Le numéro de téléphone doit comporter {expected} chiffres.','phone.prefix':"Ce numéro de téléphone n'est pas valide ({country}).",'number.invalid':'Veuillez saisir un nombre valide.','number.min':'La valeur doit être supérieure ou égale à {min}.','number.max':'La valeur doit être inférieure ou égale à {max}.','date.invalid':"La date n'est pas valide.",'date.year_required':"L'année est obligatoire.",'date.year_digits':"L'année doit comporter {digits} chiffres.",'date.year_invalid':"L'année n'est pas valide.",'date.year_in_future':"L'année ne peut pas être dans le futur.",'date.year_in_past':"L'année ne peut pas être dans le passé.",'date.year_before_min':"L'année ne peut pas être antérieure à {min}.",'date.year_out_of_range':"L'année doit être comprise entre {min} et {max}.",'date.month_range':'Le mois doit être compris entre 01 et 12.','date.month_name':"« {month} » n'est pas un mois valide.",'date.day_range':'Le jour doit être compris entre 01 et 31.','date.leap_day':"Date invalide : le {day}/{month} n'existe pas en {year}.",'date.day_not_in_month':"Date invalide : le {day}/{month} n'existe pas en {year}.",'date.max_days_out':'La date ne peut pas dépasser {maxDays} jours dans le futur.','date.min_days_out':'La date doit être au moins {minDays} jours dans le futur.','date.before_min':'La date ne peut pas être antérieure au {min}.','date.after_max':'La date ne peut pas être postérieure au {max}.','date.disabled_day':"Le {weekday} n'est pas disponible.",'date.blackout':"Le {date} n'est pas disponible.",'range.start_label':'Date de début','range.end_label':'Date de fin','range.end_before_start':'{start} ne peut pas être postérieure à {end}.','range.equal':'Le début et la fin ne peuvent pas être identiques.','range.too_short':'La période doit durer au moins {min}.','range.too_long':'La période ne peut pas dépasser {max}.','range.includes_blackout':'La période ne peut pas inclure le {date}.','range.end_time_before_start':"L'heure de fin doit être postérieure à l'heure de début.",'range.out_of_order':"L'étape {step} ne peut pas précéder l'étape {previous}.",'compare.eq':'Cette valeur doit correspondre à {field}.','compare.ne':'Cette valeur doit être différente de {field}.','compare.gt':'Cette valeur doit être supérieure à {field}.','compare.gte':'Cette valeur doit être supérieure ou égale à {field}.','compare.lt':'Cette valeur doit être inférieure à {field}.','compare.lte':'Cette valeur doit être inférieure ou égale à {field}.','compare.depends_on':'Ce champ est obligatoire lorsque {field} est renseigné.'},de:{'invalid':'Bitte geben Sie einen gültigen Wert ein.','required':'Dieses Feld ist erforderlich.','summary.title':'Bitte korrigieren Sie die folgenden Fehler:','field.default':'Feld','email.invalid':'Bitte geben Sie eine gültige E-Mail-Adresse ein.','time.invalid':'Bitte geben Sie eine gültige Uhrzeit ein ({format}).','datetime.invalid':'Bitte geben Sie ein gültiges Datum mit Uhrzeit ein ({format}).','time.meridiem':'Bitte wählen Sie AM oder PM.','pattern.mismatch':'Bitte halten Sie das erforderliche Format ein.','phone.length':'Die Telefonnummer muss {expected} Ziffern haben.','phone.prefix':'Dies ist keine gültige Telefonnummer ({country}).','number.invalid':'Bitte geben Sie eine gültige Zahl ein.','number.min':'Der Wert muss mindestens {min} betragen.','number.max':'Der Wert darf höchstens {max} betragen.','date.invalid':'Das Datum ist ungültig.','date.year_required':'Das Jahr ist erforderlich.','date.year_digits':'Das Jahr muss {digits} Ziffern haben.','date.year_invalid':'Das Jahr ist ungültig.','date.year_in_future':'Das Jahr darf nicht in der Zukunft liegen.','date.year_in_past':'Das Jahr darf nicht in der Vergangenheit liegen.','date.year_before_min':'Das Jahr darf nicht vor {min} liegen.','date.year_out_of_range':'Das Jahr muss zwischen {min} und {max} liegen.','date.month_range':'Der Monat muss zwischen 01 und 12 liegen.','date.month_name':'„{month}“ ist kein gültiger Monat.','date.day_range':'Der Tag muss zwischen 01 und 31 liegen.','date.leap_day':'Ungültiges Datum: Den {day}.{month}. gibt es im Jahr {year} nicht.','date.day_not_in_month':'Ungültiges Datum: Den {day}.{month}. gibt es im Jahr {year} nicht.','date.max_days_out':'Das Datum darf höchstens {maxDays} Tage in der Zukunft liegen.','date.min_days_out':'Das Datum muss mindestens {minDays} Tage in der Zukunft liegen.','date.before_min':'Das Datum darf nicht vor dem {min} liegen.','date.after_max':'Das Datum darf nicht nach dem {max} liegen.','date.disabled_day':'{weekday} ist nicht verfügbar.','date.blackout':'Der {date} ist nicht verfügbar.','range.start_label':'Startdatum','range.end_label':'Enddatum','range.end_before_start':'{start} darf nicht nach {end} liegen.','range.equal':'Beginn und Ende dürfen nicht gleich sein.','range.too_short':'Der Zeitraum muss mindestens {min} betragen.','range.too_long':'Der Zeitraum darf höchstens {max} betragen.','range.includes_blackout':'Der Zeitraum darf den {date} nicht enthalten.','range.end_time_before_start':'Die Endzeit muss nach der Startzeit liegen.','range.out_of_order':'Schritt {step} darf nicht vor Schritt {previous} liegen.','compare.eq':'Der Wert muss mit {field} übereinstimmen.','compare.ne':'Der Wert muss sich von {field} unterscheiden.','compare.gt':'Der Wert muss größer als {field} sein.','compare.gte':'Der Wert muss mindestens {field} sein.','compare.lt':'Der Wert muss kleiner als {field} sein.','compare.lte':'Der Wert darf höchstens {field} sein.','compare.depends_on':'Dieses Feld ist erforderlich, wenn {field} ausgefüllt ist.'},ja:{'invalid':'有効な値を入力してください。','required':'この項目は必須です。','summary.title':'次のエラーを修正してください：','field.default':'項目','email.invalid':'有効なメールアドレスを入力してください。','time.invalid':'有効な時刻を入力してください（{format}）。','datetime.invalid':'有効な日時を入力してください（{format}）。','time.meridiem':'午前（AM）か午後（PM）を選択してください。','pattern.mismatch':'指定された形式で入力してください。','phone.length':'電話番号は{expected}桁で入力してください。','phone.prefix':'有効な電話番号ではありません（{country}）。','number.invalid':'有効な数値を入力してください。','number.min':'{min}以上の値を入力してください。','number.max':'{max}以下の値を入力してください。','date.invalid':'日付が正しくありません。','date.year_required':'年を入力してください。','date.year_digits':'年は{digits}桁で入力してください。','date.year_invalid':'年が正しくありません。','date.year_in_future':'未来の年は指定できません。','date.year_in_past':'過去の年は指定できません。','date.year_before_min':'{min}年より前の年は指定できません。','date.year_out_of_range':'年は{min}年から{max}年の間で入力してください。','date.month_range':'月は01～12で入力してください。','date.month_name':'「{month}」は有効な月ではありません。','date.day_range':'日は01～31で入力してください。','date.leap_day':'無効な日付です：{year}年{month}月{day}日は存在しません。','date.day_not_in_month':'無効な日付です：{year}年{month}月{day}日は存在しません。','date.max_days_out':'{maxDays}日より先の日付は指定できません。','date.min_days_out':'{minDays}日以上先の日付を指定してください。','date.before_min':'{min}より前の日付は指定できません。','date.after_max':'{max}より後の日付は指定できません。','date.disabled_day':'{weekday}は選択できません。','date.blackout':'{date}は選択できません。','range.start_label':'開始日','range.end_label':'終了日','range.end_before_start':'{start}を{end}より後に設定することはできません。','range.equal':'開始と終了を同じにすることはできません。','range.too_short':'期間は{min}以上にしてください。','range.too_long':'期間は{max}以内にしてください。','range.includes_blackout':'期間に{date}を含めることはできません。','range.end_time_before_start':'終了時刻は開始時刻より後にしてください。','range.out_of_order':'ステップ{step}はステップ{previous}と同じか、それより後にしてください。','compare.eq':'{field}と一致させてください。','compare.ne':'{field}とは異なる値を入力してください。','compare.gt':'{field}より大きい値を入力してください。','compare.gte':'{field}以上の値を入力してください。','compare.lt':'{field}より小さい値を入力してください。','compare.lte':'{field}以下の値を入力してください。','compare.depends_on':'{field}を入力した場合、この項目は必須です。'}};static setLocale(locale){this.#locale=locale||'en';return this}
+static getLocale(){return this.#locale}
+static addMessages(locale,dict){this._messages[locale]={...(this._messages[locale]||{}),...dict};return this}
+static formatMessage(code,params={}){const template=this.#lookupMessage(code)??this.#lookupMessage('invalid');if(typeof template==='function')return template(params);return String(template).replace(/\{(\w+)\}/g,(match,key)=>(key in params?params[key]:match))}
+static #lookupMessage(code){const chain=[this.#locale,this.#locale.split('-')[0],'en'];for(const locale of chain){const dict=this._messages[locale];if(dict&&dict[code]!==undefined)return dict[code]}
 return null}
+static triggerAllValidations(){document.querySelectorAll('[masker]').forEach(el=>{const error=this.getValidationResult(el);if(error){this.displayError(el,error)}else{this.clearError(el)}});return this.#collectDisplayedErrors()}
+static async triggerAllValidationsAsync(){const fields=Array.from(document.querySelectorAll('[masker]'));const results=await Promise.all(fields.map(el=>this.getValidationResultAsync(el)));fields.forEach((el,i)=>{if(results[i]){this.displayError(el,results[i])}else{this.clearError(el)}});return this.#collectDisplayedErrors()}
+static validateForm(formOrSelector){return this.#reportFormErrors(this.#formFields(formOrSelector),el=>this.getValidationResult(el))}
+static async validateFormAsync(formOrSelector){const fields=this.#formFields(formOrSelector);const results=await Promise.all(fields.map(el=>this.getValidationResultAsync(el)));return this.#reportFormErrors(fields,el=>results[fields.indexOf(el)])}
+static #formFields(formOrSelector){const root=typeof formOrSelector==='string'?document.querySelector(formOrSelector):formOrSelector;if(!root||!root.querySelectorAll){throw new TypeError(`MaskerValidator.validateForm: no container found for ${formOrSelector}.`)}
+return Array.from(root.querySelectorAll('[masker], [required]')).filter(el=>!el.disabled)}
+static #reportFormErrors(fields,getError){const formErrors=[];fields.forEach(el=>{const error=getError(el);if(error){this.displayError(el,error);formErrors.push({id:el.id||null,title:this.#fieldTitle(el),...error})}else{this.clearError(el)}});return formErrors}
+static #fieldTitle(el,fallback=this.formatMessage('field.default')){const label=el.labels&&el.labels[0]?el.labels[0].textContent.trim():'';return el.title||label||el.name||fallback}
+static _pairScope(el){return(el&&el.closest&&el.closest('form'))||document}
+static #collectDisplayedErrors(){const formErrors=[];const errorSpans=document.getElementsByClassName('error-msg');Array.from(errorSpans).forEach(span=>{if(span.style.display!=='none'&&span.textContent.trim()!==''){const message=span.textContent.trim();const inputId=span.dataset.errorFor;const inputElement=document.getElementById(inputId);const inputTitle=inputElement?(inputElement.title||inputElement.name):this.formatMessage('field.default');const shown=this.#displayed.get(span);formErrors.push({id:inputId,title:inputTitle,message:message,code:shown?shown.code:null,params:shown?shown.params:{}})}});return formErrors}
+static validate(el,priority){const error=this.getValidationResult(el,priority);return error?error.message:null}
+static getValidationResult(el,priority={'required':1,'format':2,'complex':3}){const maskerAttr=el.getAttribute('masker')||'';const checkRequired=()=>{if(el.hasAttribute('required')||maskerAttr.includes('required')){return this.validateRequired(el)}
+return null};const checkFormat=()=>{if(el.value&&el.value!==el.placeholder){if(maskerAttr.startsWith('datetime'))return this.validateDateTime(el);if(maskerAttr.startsWith('date'))return this.validateDate(el);if(maskerAttr.startsWith('email'))return this.validateEmail(el);if(maskerAttr.startsWith('time'))return this.validateTime(el);if(maskerAttr.startsWith('pattern'))return this.validatePattern(el);if(maskerAttr.startsWith('phone'))return this.validatePhone(el);if(maskerAttr.startsWith('decimal')||maskerAttr.startsWith('currency'))return this.validateNumber(el);}
+return null};const checkComplex=()=>{if(el.dataset.pair){let pairError=null;if(el.hasAttribute('data-pair-order')){pairError=this.validateSequence(el)}else{const{sd,st,ed,et}=this._pairMembers(el);if((sd&&ed)||(st&&et))pairError=this.validateDateTimeRange(sd,st,ed,et);}
+if(pairError)return pairError}
+return this.validateComparison(el)};const checkFunctions={required:checkRequired,format:checkFormat,complex:checkComplex};const order={...priority};maskerAttr.split(/\s+/).filter(t=>this._validators.has(t)&&!this._validators.get(t).async).forEach(token=>{const def=this._validators.get(token);checkFunctions[token]=()=>this.#runCustomValidator(el,def);if(!(token in order))order[token]=def.priority});const sortedChecks=Object.keys(order).sort((a,b)=>order[a]-order[b]);for(const priFunction of sortedChecks){if(checkFunctions[priFunction]){const error=checkFunctions[priFunction]();if(error)return error}}
+return null}
+static async validateAsync(el,priority){const error=await this.getValidationResultAsync(el,priority);return error?error.message:null}
+static getValidationResultAsync(el,priority){const previous=this.#runs.get(el);if(previous&&!previous.settled)previous.controller.abort();const error=this.getValidationResult(el,priority);const maskerAttr=el.getAttribute('masker')||'';const asyncDefs=maskerAttr.split(/\s+/).filter(t=>this._validators.has(t)&&this._validators.get(t).async).map(t=>this._validators.get(t)).sort((a,b)=>a.priority-b.priority);const controller=new AbortController();const run={controller,promise:null,settled:!1};this.#runs.set(el,run);if(error||!asyncDefs.length||!el.value||el.value===el.placeholder){run.settled=!0;run.promise=Promise.resolve(error);this.#setPending(el,!1);return run.promise}
+this.#setPending(el,!0);run.promise=(async()=>{let result=null;for(const def of asyncDefs){let outcome;try{outcome=await def.format(el.value,el,{signal:controller.signal})}catch(e){outcome=!0}
+if(controller.signal.aborted)break;result=this.#customResult(el,def,outcome);if(result)break}
+const latest=this.#runs.get(el);if(latest!==run)return latest.promise;run.settled=!0;this.#setPending(el,!1);return result})();return run.promise}
+static _latestAsyncRun(el){const run=this.#runs.get(el);return run?run.promise:null}
+static hasAsyncValidators(el){const maskerAttr=el.getAttribute('masker')||'';return maskerAttr.split(/\s+/).some(t=>this._validators.has(t)&&this._validators.get(t).async)}
+static #setPending(el,isPending){el.classList.toggle('pending',isPending);if(isPending){el.setAttribute('aria-busy','true')}else{el.removeAttribute('aria-busy')}}
+static #runCustomValidator(el,def){if(!el.value||el.value===el.placeholder)return null;const outcome=this.#isRegExp(def.format)?def.format.test(el.value):def.format(el.value,el);return this.#customResult(el,def,outcome)}
+static #customResult(el,def,outcome){if(typeof outcome==='string')return this.#error(def.code,{},outcome);if(outcome)return null;const message=typeof def.message==='function'?def.message(el):def.message;const override=el.getAttribute('data-errMsg')||(this.#lookupMessage(def.code)===null?message:null);return this.#error(def.code,{},override)}
+static #error(code,params={},override=null){return{code,message:override||this.formatMessage(code,params),params}}
 static getOrCreateErrorContainer(el,anchor){if(!el.id)return null;let container=document.querySelector(`[data-error-for="${el.id}"]`);if(!container){container=document.createElement('span');container.className='error-msg';container.setAttribute('data-error-for',el.id);anchor.insertAdjacentElement('afterend',container)}
 return container}
-static displayError(el,msg){const anchor=MaskerValidator._findErrorAnchor(el);const c=this.getOrCreateErrorContainer(el,anchor);if(!c)return;c.textContent=msg;c.style.display='inline'}
-static clearError(el){const anchor=MaskerValidator._findErrorAnchor(el);const c=this.getOrCreateErrorContainer(el,anchor);if(!c)return;c.textContent='';c.style.display='none'}
-static validateRequired(el){const maskerAttr=el.getAttribute('masker')||'';const allowWhitespace=maskerAttr.includes('white-space-okay');const val=el.value;const isSelect=el.tagName.toLowerCase()==='select';if(!isSelect&&val===el.placeholder){return el.getAttribute('data-errMsg')||'This field is required.'}
+static displayError(el,msg){const anchor=MaskerValidator._findErrorAnchor(el);const c=this.getOrCreateErrorContainer(el,anchor);if(!c)return;const isResult=msg&&typeof msg==='object';c.textContent=isResult?msg.message:msg;c.style.display='inline';if(isResult){this.#displayed.set(c,msg);c.dataset.errorCode=msg.code}else{this.#displayed.delete(c);delete c.dataset.errorCode}}
+static clearError(el){const anchor=MaskerValidator._findErrorAnchor(el);const c=this.getOrCreateErrorContainer(el,anchor);if(!c)return;c.textContent='';c.style.display='none';this.#displayed.delete(c);delete c.dataset.errorCode}
+static validateRequired(el){const maskerAttr=el.getAttribute('masker')||'';const allowWhitespace=maskerAttr.includes('white-space-okay');const val=el.value;const isSelect=el.tagName.toLowerCase()==='select';if(!isSelect&&val===el.placeholder){return this.#error('required',{},el.getAttribute('data-errMsg'))}
 let isInvalid=!1;if(allowWhitespace){isInvalid=!val||val.length===0}else{isInvalid=!val||val.trim()===''}
-if(isInvalid){return el.getAttribute('data-errMsg')||'This field is required.'}
+if(isInvalid){return this.#error('required',{},el.getAttribute('data-errMsg'))}
+return null}
+static validateDate(el){const v=this._dateValue(el);if(!v||v===el.placeholder)return null;if(v.match(/^\d{4}-\d{2}-\d{2}$/))return this.#checkDaysOut(el)||this.#checkDateBounds(el)||this.#checkDayRules(el);const mask=el.getAttribute('masker')||'';const fmt=this._dateFormat(el);const nowY=new Date().getFullYear();const allowAnyYearDigits=mask.includes('year-digits-any');const ignoreMax=mask.includes('ignore-max');const hasBounds=el.hasAttribute('data-min-date')||el.hasAttribute('data-max-date');const daysOutError=this.#checkDaysOut(el);if(daysOutError)return daysOutError;const parts=this._parseDateParts(v,fmt,this._dateLocale(el));if(!parts)return this.#error('date.invalid');const normD=parts.day.padStart(2,'0');const normY=parts.year;const isValidLen=allowAnyYearDigits?normY.length>0:normY.length===4;if(!isValidLen){return allowAnyYearDigits?this.#error('date.year_required'):this.#error('date.year_digits',{digits:4})}
+const y=parseInt(normY,10);if(isNaN(y))return this.#error('date.year_invalid');if(!mask.includes('ancient future')){if(mask.includes('ancient')&&y>nowY)return this.#error('date.year_in_future',{max:nowY});if(mask.includes('future')&&y<nowY)return this.#error('date.year_in_past',{min:nowY});if(mask.includes('2000')){if(y<2000)return this.#error('date.year_before_min',{min:2000});if(!ignoreMax&&y>nowY)return this.#error('date.year_out_of_range',{min:2000,max:nowY});}
+if(mask.includes('1900')){if(y<1900)return this.#error('date.year_before_min',{min:1900});if(!ignoreMax&&y>nowY)return this.#error('date.year_out_of_range',{min:1900,max:nowY});}
+if(!allowAnyYearDigits&&!hasBounds&&!mask.includes('ancient')&&!mask.includes('1900')&&!mask.includes('2000')&&y<nowY){return this.#error('date.year_before_min',{min:nowY})}}
+const m=parts.month;if(parts.monthText!==null&&isNaN(m))return this.#error('date.month_name',{month:parts.monthText});if(isNaN(m)||m<1||m>12)return this.#error('date.month_range',{min:1,max:12});const d=parseInt(normD,10);if(isNaN(d)||d<1||d>31)return this.#error('date.day_range',{min:1,max:31});const daysInMonth=[0,31,28,31,30,31,30,31,31,30,31,30,31];let maxDays=daysInMonth[m];if(m===2){const isLeap=(y%4===0&&y%100!==0)||(y%400===0);if(isLeap)maxDays=29}
+if(d>maxDays){const code=m===2&&d===29?'date.leap_day':'date.day_not_in_month';return this.#error(code,{month:m,day:d,year:y,maxDays})}
+return this.#checkDateBounds(el)||this.#checkDayRules(el)}
+static validateDateRange(startEl,endEl){if(!startEl.value||!endEl.value)return null;const d1=this.#toDate(startEl);const d2=this.#toDate(endEl);if(!d1||!d2)return null;if(d1>d2){const t1=startEl.title||this.formatMessage('range.start_label');const t2=endEl.title||this.formatMessage('range.end_label');return this.#error('range.end_before_start',{start:t1,end:t2},startEl.dataset.errMsgRangeStart)}
 return null}
-static validateDate(el){const v=el.value;if(!v||v===el.placeholder)return null;if(v.match(/^\d{4}-\d{2}-\d{2}$/))return null;const mask=el.getAttribute('masker')||'';const rawFmt=el.getAttribute('data-format')||'MDY';if(rawFmt==='US-MIL')return null;const alias={MDY:'MM/DD/YYYY',DMY:'DD/MM/YYYY',YMD:'YYYY/MM/DD','US-CIV':'MM/DD/YYYY'};const fmt=alias[rawFmt]||rawFmt;const nowY=new Date().getFullYear();const allowAnyYearDigits=mask.includes('year-digits-any');const ignoreMax=mask.includes('ignore-max');const maxDaysOutAttr=el.getAttribute('data-max-days-out');if(maxDaysOutAttr){const userDate=this.#toDate(el);if(userDate){const maxDaysOut=parseInt(maxDaysOutAttr,10);const today=new Date();today.setHours(0,0,0,0);const cutoffDate=new Date(today);cutoffDate.setDate(today.getDate()+maxDaysOut);if(userDate>cutoffDate){return el.getAttribute('data-max-days-errmsg')||`Date cannot be more than ${maxDaysOut} days in the future.`}}}
-const parts=v.split(/[^0-9]+/).filter(x=>x);if(parts.length!==3)return'Date is not valid.';let rawY,rawM,rawD;if(fmt.startsWith('Y')){[rawY,rawM,rawD]=parts}else if(fmt.startsWith('D')){[rawD,rawM,rawY]=parts}else{[rawM,rawD,rawY]=parts}
-const normM=rawM.padStart(2,'0');const normD=rawD.padStart(2,'0');const normY=rawY;const isValidLen=allowAnyYearDigits?normY.length>0:normY.length===4;if(!isValidLen)return allowAnyYearDigits?'Year is required.':'Year must be 4 digits.';const y=parseInt(normY,10);if(isNaN(y))return'Year is not valid.';if(!mask.includes('ancient future')){if(mask.includes('ancient')&&y>nowY)return'Year cannot be in the future.';if(mask.includes('future')&&y<nowY)return'Year cannot be in the past.';if(mask.includes('2000')){if(y<2000)return `Year cannot be before 2000.`;if(!ignoreMax&&y>nowY)return `Year must be between 2000 and ${nowY}.`}
-if(mask.includes('1900')){if(y<1900)return `Year cannot be before 1900.`;if(!ignoreMax&&y>nowY)return `Year must be between 1900 and ${nowY}.`}
-if(!allowAnyYearDigits&&!mask.includes('ancient')&&!mask.includes('1900')&&!mask.includes('2000')&&y<nowY){return `Year cannot be before ${nowY}.`}}
-const m=parseInt(normM,10);if(isNaN(m)||m<1||m>12)return'Month must be 01-12.';const d=parseInt(normD,10);if(isNaN(d)||d<1||d>31)return'Day must be 01-31.';const daysInMonth=[0,31,28,31,30,31,30,31,31,30,31,30,31];let maxDays=daysInMonth[m];if(m===2){const isLeap=(y%4===0&&y%100!==0)||(y%400===0);if(isLeap)maxDays=29}
-if(d>maxDays)return `Invalid date: ${m}/${d} does not exist in year ${y}.`;return null}
-static validateDateRange(startEl,endEl){if(!startEl.value||!endEl.value)return null;const d1=this.#toDate(startEl);const d2=this.#toDate(endEl);if(!d1||!d2)return null;if(d1>d2){const t1=startEl.title||'Start date';const t2=endEl.title||'End date';return startEl.dataset.errMsgRangeStart||`${t1} cannot be set after ${t2}`}
+static validateEmail(el){if(!el.value)return null;const re=/^[^\s@]+@[^\s@]+\.[^\s@]+$/;if(!re.test(el.value)){return this.#error('email.invalid',{},el.getAttribute('data-errMsg'))}
 return null}
-static validateEmail(el){if(!el.value)return null;const re=/^[^\s@]+@[^\s@]+\.[^\s@]+$/;if(!re.test(el.value)){return el.getAttribute('data-errMsg')||'Please enter a valid email address.'}
+static validateTime(el){const value=this._timeValue(el);if(!value||(el.tagName==='INPUT'&&el.type!=='time'&&!/\d/.test(value)))return null;const fmt=this._timeFormat(el);if(this.#toTime(el)!==null)return null;if(this._isTextTime(el)&&this._timeTokens(fmt).some(t=>t.unit==='a')){const parts=this._parseTimeParts(value,fmt);if(parts&&parts.meridiem===null)return this.#error('time.meridiem');}
+return this.#error('time.invalid',{format:fmt})}
+static _timeFormat(el){if(this._isDateTime(el))return this._dateTimeFormat(el).time;return el.getAttribute('data-format')||'HH:mm'}
+static _isDateTime(el){return(el.getAttribute('masker')||'').split(/\s+/).includes('datetime')}
+static _dateTimeFormat(el){const raw=el.getAttribute('data-format')||'MM/DD/YYYY HH:mm';const at=raw.search(/HH|hh/);if(at===-1)return{date:raw,separator:' ',time:'HH:mm'};const head=/^(.*(?:YYYY|MMM|MM|DD|MDY|DMY|YMD|US-CIV|US-MIL))(.*)$/.exec(raw.slice(0,at));return head?{date:head[1],separator:head[2],time:raw.slice(at)}:{date:'MDY',separator:raw.slice(0,at),time:raw.slice(at)}}
+static _splitDateTime(el){const value=(el.value||'').trim();const{separator,time}=this._dateTimeFormat(el);const sep=separator.trim();const dateFmt=this._dateFormat(el);const locale=this._dateLocale(el);for(let i=1;i<value.length;i++){const rest=value.slice(i);const gap=sep?(rest.trimStart().startsWith(sep)?rest.length-rest.trimStart().length+sep.length:-1):(/^\s+/.exec(rest)||[''])[0].length;if(gap<0||(!sep&&!gap))continue;const datePart=value.slice(0,i);const timePart=rest.slice(gap);if(this._parseDateParts(datePart,dateFmt,locale)&&this._parseTimeParts(timePart,time)){return{date:datePart,time:timePart}}}
 return null}
-static validateTime(el){const totalMinutes=this.#toTime(el);if(el.value&&totalMinutes===null){return'Please enter a valid time (HH:MM).'}
+static _dateValue(el){if(!this._isDateTime(el))return el.value;const parts=this._splitDateTime(el);return parts?parts.date:''}
+static _timeValue(el){if(!this._isDateTime(el))return el.value;const parts=this._splitDateTime(el);return parts?parts.time:''}
+static validateDateTime(el){if(!el.value||!/\d/.test(el.value))return null;if(!this._splitDateTime(el)){return this.#error('datetime.invalid',{format:el.getAttribute('data-format')||'MM/DD/YYYY HH:mm'},el.getAttribute('data-errMsg'))}
+return this.validateDate(el)||this.validateTime(el)}
+static _timeTokens(fmt){const tokens=[];for(let i=0;i<fmt.length;){const rest=fmt.slice(i);const unit=['HH','hh','mm','ss','a'].find(u=>rest.startsWith(u));if(unit){tokens.push({unit});i+=unit.length}else{const last=tokens[tokens.length-1];if(last&&last.literal!==undefined)last.literal+=fmt[i];else tokens.push({literal:fmt[i]});i++}}
+return tokens}
+static _isTextTime(el){if(el.tagName!=='INPUT'||el.type==='time')return!1;const container=el.closest('td, .ms-dtinput');return!(container&&container.querySelector('select'))}
+static _parseTimeParts(value,fmt){const order=[];const source=this._timeTokens(fmt).map(t=>{if(t.literal!==undefined){return t.literal.replace(/[\/\\^$*+?.()|[\]{}]/g,'\\$&').replace(/\s+/g,'\\s*')}
+order.push(t.unit);return t.unit==='a'?'(?:([AaPp])\\.?\\s*[Mm]?\\.?)?':'(\\d{1,2})'}).join('');const match=new RegExp(`^\\s*${source}\\s*$`).exec(value);if(!match)return null;const parts={hour:NaN,minute:0,second:0,meridiem:null};order.forEach((unit,i)=>{const v=match[i+1];if(unit==='a')parts.meridiem=v?(/[Aa]/.test(v)?'AM':'PM'):null;else parts[{HH:'hour',hh:'hour',mm:'minute',ss:'second'}[unit]]=parseInt(v,10);});return parts}
+static _parseTime(value,fmt){const parts=this._parseTimeParts(value,fmt);if(!parts)return null;const{minute,second,meridiem}=parts;let hour=parts.hour;if(fmt.includes('hh')){if(meridiem===null&&fmt.includes('a'))return null;if(hour<1||hour>12)return null;if(meridiem)hour=(hour%12)+(meridiem==='PM'?12:0);}
+if(isNaN(hour)||hour<0||hour>23||minute<0||minute>59||second<0||second>59)return null;return hour*60+minute+second/60}
+static _formatTime(minutes,el){const total=Math.round(minutes*60);const h=Math.floor(total/3600)%24;const m=Math.floor(total/60)%60;const sec=total%60;const pad=n=>String(n).padStart(2,'0');return this._timeTokens(this._timeFormat(el)).map(t=>{if(t.literal!==undefined)return t.literal;if(t.unit==='HH')return pad(h);if(t.unit==='hh')return pad(h%12||12);if(t.unit==='mm')return pad(m);if(t.unit==='ss')return pad(sec);return h<12?'AM':'PM'}).join('')}
+static validateNumber(el){if(!el.value)return null;const conf=this._numberFormat(el);const n=this._parseNumber(el.value,conf);if(n===null)return null;if(isNaN(n))return this.#error('number.invalid',{},el.getAttribute('data-errMsg'));const min=el.getAttribute('min');const max=el.getAttribute('max');if(min!==null&&min!==''&&n<parseFloat(min))return this.#error('number.min',{min:parseFloat(min)});if(max!==null&&max!==''&&n>parseFloat(max))return this.#error('number.max',{max:parseFloat(max)});return null}
+static _numberFormat(el){const maskerAttr=el.getAttribute('masker')||'';const isCurrency=maskerAttr.split(/\s+/).includes('currency');const locale=el.getAttribute('data-locale')||this.#locale;const currency=el.getAttribute('data-currency');let group=',',decimal='.',symbol=isCurrency?'$':'',position='prefix',precision=2;try{const parts=new Intl.NumberFormat(locale).formatToParts(12345.6);group=(parts.find(p=>p.type==='group')||{}).value||group;decimal=(parts.find(p=>p.type==='decimal')||{}).value||decimal;if(isCurrency&&currency){const money=new Intl.NumberFormat(locale,{style:'currency',currency});const moneyParts=money.formatToParts(1);const symbolIndex=moneyParts.findIndex(p=>p.type==='currency');symbol=moneyParts[symbolIndex].value;position=symbolIndex<moneyParts.findIndex(p=>p.type==='integer')?'prefix':'suffix';precision=money.resolvedOptions().maximumFractionDigits}}catch(e){}
+const precisionAttr=parseInt(el.getAttribute('data-precision'),10);return{group:el.getAttribute('data-thousands')??group,decimal:el.getAttribute('data-decimal')||decimal,precision:isNaN(precisionAttr)?precision:precisionAttr,negative:maskerAttr.split(/\s+/).includes('negative'),symbol:isCurrency?(el.getAttribute('data-currency-symbol')??symbol):'',position:el.getAttribute('data-symbol-position')||position,isCurrency}}
+static _parseNumber(value,conf){let text=conf.symbol?value.split(conf.symbol).join(''):value;if(conf.group)text=text.split(conf.group).join('');text=text.replace(/\s/g,'').split(conf.decimal).join('.');if(text===''||text==='-')return null;return/^-?(\d+\.?\d*|\.\d+)$/.test(text)?parseFloat(text):NaN}
+static validatePattern(el){const mask=el.getAttribute('data-mask');if(!el.value||!mask)return null;const tokens=Masker._compilePattern(mask);const placeholder=tokens.map(t=>t.literal!==undefined?t.literal:'_').join('');if(el.value===placeholder)return null;if(!new RegExp(`^${Masker._patternSource(tokens)}$`).test(el.value)){return this.#error('pattern.mismatch',{mask},el.getAttribute('data-errMsg'))}
+return null}
+static validatePhone(el){const digits=el.value.replace(/\D/g,'');if(!digits)return null;const{template,lead}=Masker._phoneFormat(el);const expected=(template.match(/0/g)||[]).length;const override=el.getAttribute('data-errMsg');if(digits.length!==expected){return this.#error('phone.length',{expected,actual:digits.length},override)}
+if(lead&&!lead.test(digits)){return this.#error('phone.prefix',{country:el.getAttribute('data-format')||'US'},override)}
 return null}
 static findNextSelectWithPartialId(element,partialId){let nextSibling=element.nextElementSibling;while(nextSibling){if(nextSibling.tagName==='SELECT'&&nextSibling.id.includes(partialId)){return nextSibling}
 nextSibling=nextSibling.nextElementSibling}
 return null}
-static validateDateTimeRange(sd,st,ed,et){const hasSD=sd&&sd.value&&sd.value!==sd.placeholder;const hasED=ed&&ed.value&&ed.value!==ed.placeholder;const t1=st?this.#toTime(st):null;const t2=et?this.#toTime(et):null;const hasST=t1!==null;const hasET=t2!==null;const getMsg=(defaultMsg)=>{return sd.getAttribute('data-err-msg-range')||ed.getAttribute('data-err-msg-range')||defaultMsg};if(hasSD&&hasED&&!hasST&&!hasET)return this.validateDateRange(sd,ed);if(hasST&&hasET&&!hasSD&&!hasED){if(t1>=t2)return getMsg('End time must be after start time.');}
-if(hasSD&&hasST&&hasED&&hasET){const d1_obj=this.#toDate(sd);const d2_obj=this.#toDate(ed);if(!d1_obj||!d2_obj)return null;if(d1_obj.toDateString()===d2_obj.toDateString()){if(t1>=t2)return getMsg('End time must be after start time on the same day.');}else{const dt1=this.#toDateTime(sd,st);const dt2=this.#toDateTime(ed,et);if(!dt1||!dt2||dt1>dt2)return getMsg('End date must be on or after the start date.');}}
+static validateDateTimeRange(sd,st,ed,et){const hasSD=sd&&sd.value&&sd.value!==sd.placeholder;const hasED=ed&&ed.value&&ed.value!==ed.placeholder;const t1=st?this.#toTime(st):null;const t2=et?this.#toTime(et):null;const hasST=t1!==null;const hasET=t2!==null;const getMsg=(code,params={})=>{const custom=[sd,ed,st,et].map(f=>f&&f.getAttribute('data-err-msg-range')).find(Boolean);return this.#error(code,params,custom)};const pairAttr=name=>this.#pairAttr([sd,st,ed,et],name);const allowEqual=fallback=>{const attr=pairAttr('data-pair-allow-equal');return attr===null?fallback:attr!=='false'};if(hasSD&&hasED&&!hasST&&!hasET){const order=this.validateDateRange(sd,ed);if(order)return order;const d1=this.#toDate(sd);const d2=this.#toDate(ed);if(!d1||!d2)return null;if(d1.getTime()===d2.getTime()&&!allowEqual(!0))return getMsg('range.equal');const days=Math.round((d2-d1)/86400000);return this.#checkRangeDuration(days*86400000,pairAttr,getMsg)||this.#rangeBlackout(sd,ed,d1,d2)}
+if(hasST&&hasET&&!hasSD&&!hasED){const[t1,t2]=this.#zonedTimes(st,et);if(t2<t1&&this.#pairFlag([st,et],'data-pair-overnight')){return this.#checkRangeDuration((t2+1440-t1)*60000,pairAttr,getMsg)}
+if(t1>t2||(t1===t2&&!allowEqual(!1)))return getMsg('range.end_time_before_start',{sameDay:!1});return this.#checkRangeDuration((t2-t1)*60000,pairAttr,getMsg)}
+if(hasSD&&hasST&&hasED&&hasET){const d1_obj=this.#toDate(sd);const d2_obj=this.#toDate(ed);if(!d1_obj||!d2_obj)return null;const dt1=this.#toDateTime(sd,st);const dt2=this.#toDateTime(ed,et);if(d1_obj.toDateString()===d2_obj.toDateString()){if(dt1>dt2||(+dt1===+dt2&&!allowEqual(!1)))return getMsg('range.end_time_before_start',{sameDay:!0});}else if(!dt1||!dt2||dt1>dt2){return getMsg('range.end_before_start',{start:sd.title||this.formatMessage('range.start_label'),end:ed.title||this.formatMessage('range.end_label'),withTime:!0})}
+return this.#checkRangeDuration(dt2-dt1,pairAttr,getMsg)||this.#rangeBlackout(sd,ed,d1_obj,d2_obj)}
+return null}
+static _pairMembers(el){const pairName=el.dataset.pair;const scope=this._pairScope(el);const find=selector=>scope.querySelector(`[masker*="${selector}"][data-pair="${pairName}"]`);const start=find('datetime begin');const end=find('datetime end');return{sd:start||find('date begin'),st:start||find('time begin'),ed:end||find('date end'),et:end||find('time end')}}
+static #compareOps={eq:diff=>diff===0,ne:diff=>diff!==0,gt:diff=>diff>0,gte:diff=>diff>=0,lt:diff=>diff<0,lte:diff=>diff<=0};static _compareField(el,attr){const selector=el.getAttribute(attr);if(!selector)return null;try{return this._pairScope(el).querySelector(selector)||document.querySelector(selector)}catch(e){return null}}
+static _compareFields(el){return['data-match','data-greater-than','data-compare','data-depends-on'].map(attr=>this._compareField(el,attr)).filter(f=>f&&f!==el)}
+static _compareDependents(el){return Array.from(this._pairScope(el).querySelectorAll('[data-match], [data-greater-than], [data-compare], [data-depends-on]')).filter(f=>f!==el&&this._compareFields(f).includes(el))}
+static #comparable(el){if(el.type==='checkbox'||el.type==='radio')return el.checked?el.value:null;if(!el.value||el.value===el.placeholder)return null;const tokens=(el.getAttribute('masker')||'').split(/\s+/);if(tokens.includes('datetime')){const date=this.#toDateTime(el,el);return date?date.getTime():null}
+if(tokens.includes('date')){const date=this.#toDate(el);return date?date.getTime():null}
+if(tokens.includes('time'))return this.#toTime(el);if(tokens.includes('decimal')||tokens.includes('currency')){const n=this._parseNumber(el.value,this._numberFormat(el));return n===null||isNaN(n)?null:n}
+const text=el.value.trim();return/^-?\d+(\.\d+)?$/.test(text)?Number(text):text}
+static validateComparison(el){const override=el.getAttribute('data-compare-errmsg');const dependsOn=this._compareField(el,'data-depends-on');if(dependsOn&&this.#comparable(dependsOn)!==null&&this.#comparable(el)===null){return this.#error('compare.depends_on',{field:this.#fieldTitle(dependsOn,dependsOn.id||undefined)},override)}
+const value=this.#comparable(el);if(value===null)return null;const rules=[['data-match','eq'],['data-greater-than','gt'],['data-compare',el.getAttribute('data-compare-op')||'eq']];for(const[attr,op]of rules){const other=this._compareField(el,attr);const test=this.#compareOps[op];if(!other||!test)continue;const a=attr==='data-match'?el.value:value;const b=attr==='data-match'?other.value:this.#comparable(other);if(b===null||b==='')continue;const diff=typeof a==='number'&&typeof b==='number'?a-b:(a===b?0:(String(a)<String(b)?-1:1));if(!test(diff))return this.#error(`compare.${op}`,{field:this.#fieldTitle(other,other.id||undefined),op},override);}
 return null}
-static #toDate(el){if(!el||!el.value)return null;const v=el.value.trim();const isoMatch=v.match(/^(\d{4})[-\/](\d{2})[-\/](\d{2})/);if(isoMatch){const y=parseInt(isoMatch[1],10);const m=parseInt(isoMatch[2],10);const d=parseInt(isoMatch[3],10);if(m>=1&&m<=12&&d>=1&&d<=31){return new Date(y,m-1,d)}}
-const raw=el.getAttribute('data-format')||'MDY';const alias={MDY:'MM/DD/YYYY',DMY:'DD/MM/YYYY',YMD:'YYYY/MM/DD','US-CIV':'MM/DD/YYYY'};const fmt=alias[raw]||raw;const parts=v.split(/[^0-9]+/).filter(p=>p!=="").map(n=>parseInt(n,10));if(parts.length!==3)return null;let[mm,dd,yy]=[NaN,NaN,NaN];if(fmt.startsWith('M'))[mm,dd,yy]=parts;else if(fmt.startsWith('D'))[dd,mm,yy]=parts;else if(fmt.startsWith('Y'))[yy,mm,dd]=parts;else return null;if([mm,dd,yy].some(n=>isNaN(n)))return null;if(mm<1||mm>12)return null;if(dd<1||dd>31)return null;const daysInMonth=[0,31,28,31,30,31,30,31,31,30,31,30,31];let maxDays=daysInMonth[mm];if(mm===2){const isLeap=(yy%4===0&&yy%100!==0)||(yy%400===0);if(isLeap)maxDays=29}
+static _sequenceSteps(el){const steps=new Map();this._pairScope(el).querySelectorAll(`[data-pair="${el.dataset.pair}"][data-pair-order]`).forEach(f=>{const order=parseInt(f.getAttribute('data-pair-order'),10);if(isNaN(order))return;const tokens=(f.getAttribute('masker')||'').split(/\s+/);if(!steps.has(order))steps.set(order,{order,date:null,time:null});const step=steps.get(order);if(tokens.includes('datetime')){step.date=step.date||f;step.time=step.time||f}else if(tokens.includes('date')){step.date=f}else if(tokens.includes('time')){step.time=f}});return[...steps.values()].sort((a,b)=>a.order-b.order)}
+static validateSequence(el){const steps=this._sequenceSteps(el);const at=steps.findIndex(s=>s.date===el||s.time===el);if(at<1)return null;const read=s=>({date:s.date?this.#toDate(s.date):null,time:s.time?this.#toTime(s.time):null});const step=steps[at];const cur=read(step);if(!cur.date&&cur.time===null)return null;let prevStep=null,prev=null;for(let i=at-1;i>=0&&!prevStep;i--){const value=read(steps[i]);if(value.date||value.time!==null)[prevStep,prev]=[steps[i],value]}
+if(!prevStep)return null;let diff,culprit;if(cur.date&&prev.date){const days=Math.round((cur.date-prev.date)/86400000);if(cur.time!==null&&prev.time!==null){diff=this.#toDateTime(step.date,step.time)-this.#toDateTime(prevStep.date,prevStep.time);culprit=days<0?step.date:step.time}else{diff=days;culprit=step.date}}else if(!cur.date&&!prev.date&&cur.time!==null&&prev.time!==null){const[t1,t2]=this.#zonedTimes(prevStep.time,step.time);diff=t2-t1;culprit=step.time}else{return null}
+const fields=steps.flatMap(s=>[s.date,s.time]);const allowEqual=this.#pairAttr(fields,'data-pair-allow-equal')!=='false';if(culprit!==el||diff>0||(diff===0&&allowEqual))return null;return this.#error('range.out_of_order',{step:step.order,previous:prevStep.order},this.#pairAttr(fields,'data-err-msg-range'))}
+static #pairAttr(fields,name){return fields.map(f=>f&&f.getAttribute(name)).find(v=>v!==null&&v!==undefined)??null}
+static #pairFlag(fields,name){const attr=this.#pairAttr(fields,name);return attr!==null&&attr!=='false'}
+static _pairSide(el){if(!el.dataset.pair)return{date:el,time:el};const{sd,st,ed,et}=this._pairMembers(el);if(sd===el||st===el)return{date:sd,time:st};if(ed===el||et===el)return{date:ed,time:et};return{date:el,time:el}}
+static _timeZone(el){if(!el)return null;const{date,time}=this._pairSide(el);let zone=this.#pairAttr([el,date,time],'data-timezone');if(zone===null&&el.dataset.pair)zone=this.#pairAttr(Object.values(this._pairMembers(el)),'data-pair-timezone');if(!zone)return null;try{new Intl.DateTimeFormat('en-US',{timeZone:zone});return zone}catch(e){return null}}
+static #zoneParts(ms,zone){const parts={};new Intl.DateTimeFormat('en-US',{timeZone:zone,hourCycle:'h23',year:'numeric',month:'numeric',day:'numeric',hour:'numeric',minute:'numeric',second:'numeric'}).formatToParts(ms).forEach(p=>{parts[p.type]=+p.value});return parts}
+static _wallClock(ms,zone){const{year,month,day,hour,minute,second}=this.#zoneParts(ms,zone);const date=new Date(year,month-1,day,hour,minute,second);date.setFullYear(year);return date}
+static _zoneOffset(ms,zone){const{year,month,day,hour,minute,second}=this.#zoneParts(ms,zone);return Math.round((Date.UTC(year,month-1,day,hour,minute,second)-Math.floor(ms/1000)*1000)/60000)}
+static _zonedInstant(date,minutes,zone){const wall=Date.UTC(date.getFullYear(),date.getMonth(),date.getDate())+Math.round(minutes*60)*1000;const guess=wall-this._zoneOffset(wall,zone)*60000;return wall-this._zoneOffset(guess,zone)*60000}
+static #zonedTimes(st,et){const t1=this.#toTime(st);const t2=this.#toTime(et);const z1=this._timeZone(st);const z2=this._timeZone(et);if(!z1&&!z2)return[t1,t2];const now=Date.now();const offset=zone=>zone?this._zoneOffset(now,zone):-new Date(now).getTimezoneOffset();return[t1-offset(z1),t2-offset(z2)]}
+static getPairDuration(el){const{sd,st,ed,et}=this._pairMembers(el);const d1=sd?this.#toDate(sd):null;const d2=ed?this.#toDate(ed):null;let t1=st?this.#toTime(st):null;let t2=et?this.#toTime(et):null;let minutes=null;if(sd&&ed&&st&&et){const dt1=this.#toDateTime(sd,st);const dt2=this.#toDateTime(ed,et);if(dt1&&dt2)minutes=Math.round((dt2-dt1)/60000);}else if(sd&&ed){if(d1&&d2)minutes=Math.round((d2-d1)/86400000)*1440}else if(st&&et&&t1!==null&&t2!==null){[t1,t2]=this.#zonedTimes(st,et);minutes=t2<t1&&this.#pairFlag([st,et],'data-pair-overnight')?t2+1440-t1:t2-t1}
+return minutes!==null&&minutes>=0?minutes:null}
+static _parseDuration(text){if(!text||!/^\s*(\d+\s*[wdhm]\s*)+$/i.test(text))return null;const ms={w:604800000,d:86400000,h:3600000,m:60000};let total=0;for(const[,n,unit]of text.matchAll(/(\d+)\s*([wdhm])/gi))total+=parseInt(n,10)*ms[unit.toLowerCase()];return total}
+static _formatDuration(ms){const parts=[];let rest=Math.round(ms/60000);for(const[unit,size]of[['day',1440],['hour',60],['minute',1]]){const n=Math.floor(rest/size);rest-=n*size;if(!n&&(parts.length||unit!=='minute'||rest))continue;try{parts.push(new Intl.NumberFormat(this.#locale,{style:'unit',unit,unitDisplay:'long'}).format(n))}catch(e){parts.push(`${n} ${unit}${n === 1 ? '' : 's'}`)}}
+return parts.join(' ')}
+static #checkRangeDuration(span,pairAttr,getMsg){const min=this._parseDuration(pairAttr('data-pair-min-duration'));if(min!==null&&span<min)return getMsg('range.too_short',{min:this._formatDuration(min),minMinutes:min/60000});const max=this._parseDuration(pairAttr('data-pair-max-duration'));if(max!==null&&span>max)return getMsg('range.too_long',{max:this._formatDuration(max),maxMinutes:max/60000});return null}
+static _dateAliases={MDY:'MM/DD/YYYY',DMY:'DD/MM/YYYY',YMD:'YYYY/MM/DD','US-CIV':'MM/DD/YYYY','US-MIL':'YYYY MMM DD'};static #monthCache=new Map();static #dateFormatName(el){if(this._isDateTime(el))return this._dateTimeFormat(el).date;return el.getAttribute('data-format')||'MDY'}
+static _dateFormat(el){const raw=this.#dateFormatName(el);return this._dateAliases[raw]||raw}
+static _dateLocale(el){if(this.#dateFormatName(el)==='US-MIL')return'en';return el.getAttribute('data-locale')||this.#locale}
+static _dateTokens(fmt){const tokens=[];for(let i=0;i<fmt.length;){const rest=fmt.slice(i);const unit=['YYYY','MMM','MM','DD'].find(u=>rest.startsWith(u));if(unit){tokens.push({unit});i+=unit.length}else{const last=tokens[tokens.length-1];if(last&&last.literal!==undefined)last.literal+=fmt[i];else tokens.push({literal:fmt[i]});i++}}
+return tokens}
+static _monthNames(locale){if(!this.#monthCache.has(locale)){let names;try{const f=new Intl.DateTimeFormat(locale,{month:'short',timeZone:'UTC'});names=Array.from({length:12},(_,i)=>f.format(Date.UTC(2000,i,1)).replace(/\.$/,''))}catch(e){names=null}
+if(!names||names.some(n=>/\d/.test(n))){names=['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec']}
+this.#monthCache.set(locale,names)}
+return this.#monthCache.get(locale)}
+static _dateMonths(el){const months=this._monthNames(this._dateLocale(el));return this.#dateFormatName(el)==='US-MIL'?months.map(m=>m.toUpperCase()):months}
+static _formatDate(date,el){const months=this._dateMonths(el);const pad=n=>String(n).padStart(2,'0');return this._dateTokens(this._dateFormat(el)).map(t=>{if(t.literal!==undefined)return t.literal;if(t.unit==='YYYY')return String(date.getFullYear()).padStart(4,'0');if(t.unit==='MMM')return months[date.getMonth()];return pad(t.unit==='MM'?date.getMonth()+1:date.getDate())}).join('')}
+static #relativeBound=/^(?:today)?\s*([+-])\s*(\d+)\s*([dwmy])$/i;static _dateBoundField(el,expr){if(!expr||/^today$/i.test(expr.trim())||this.#relativeBound.test(expr.trim())||/^\d{4}-\d{2}-\d{2}$/.test(expr.trim()))return null;try{return this._pairScope(el).querySelector(expr)||document.querySelector(expr)}catch(e){return null}}
+static _resolveDateBound(el,expr){if(!expr)return null;const text=expr.trim();const today=new Date();today.setHours(0,0,0,0);if(/^today$/i.test(text))return today;const rel=this.#relativeBound.exec(text);if(rel){const n=parseInt(rel[2],10)*(rel[1]==='-'?-1:1);const unit=rel[3].toLowerCase();if(unit==='d')today.setDate(today.getDate()+n);if(unit==='w')today.setDate(today.getDate()+n*7);if(unit==='m')today.setMonth(today.getMonth()+n);if(unit==='y')today.setFullYear(today.getFullYear()+n);return today}
+const iso=/^(\d{4})-(\d{2})-(\d{2})$/.exec(text);if(iso)return new Date(+iso[1],+iso[2]-1,+iso[3]);const ref=this._dateBoundField(el,text);return ref?this.#toDate(ref):null}
+static #checkDaysOut(el){const date=this.#toDate(el);if(!date)return null;const today=new Date();today.setHours(0,0,0,0);const maxDaysOutAttr=el.getAttribute('data-max-days-out');if(maxDaysOutAttr){const maxDaysOut=parseInt(maxDaysOutAttr,10);const cutoffDate=new Date(today);cutoffDate.setDate(today.getDate()+maxDaysOut);if(date>cutoffDate){return this.#error('date.max_days_out',{maxDays:maxDaysOut},el.getAttribute('data-max-days-errmsg'))}}
+const minDaysOutAttr=el.getAttribute('data-min-days-out');if(minDaysOutAttr){const minDaysOut=parseInt(minDaysOutAttr,10);const earliest=new Date(today);earliest.setDate(today.getDate()+minDaysOut);if(date<earliest){return this.#error('date.min_days_out',{minDays:minDaysOut},el.getAttribute('data-min-days-errmsg'))}}
+return null}
+static #checkDateBounds(el){const date=this.#toDate(el);if(!date)return null;const min=this._resolveDateBound(el,el.getAttribute('data-min-date'));if(min&&date<min){return this.#error('date.before_min',{min:this._formatDate(min,el)},el.getAttribute('data-min-date-errmsg'))}
+const max=this._resolveDateBound(el,el.getAttribute('data-max-date'));if(max&&date>max){return this.#error('date.after_max',{max:this._formatDate(max,el)},el.getAttribute('data-max-date-errmsg'))}
+return null}
+static _disabledDays(el){const days=new Set();if((el.getAttribute('masker')||'').includes('weekdays-only'))[0,6].forEach(d=>days.add(d));(el.getAttribute('data-disabled-days')||'').split(',').forEach(d=>{const n=parseInt(d,10);if(n>=0&&n<=6)days.add(n);});return days}
+static _blackoutDates(el){const attr=(el.getAttribute('data-blackout-dates')||'').trim();if(!attr)return[];let list=attr.split(',').map(d=>d.trim()).filter(Boolean);if(!list.every(d=>/^\d{4}-\d{2}-\d{2}$/.test(d))){const provider=attr.split('.').reduce((o,key)=>(o==null?undefined:o[key]),globalThis);if(typeof provider!=='function')return[];list=Array.from(provider(el)||[])}
+return list.map(d=>d instanceof Date?this.#dateKey(d):String(d).slice(0,10))}
+static #dateKey(date){const pad=n=>String(n).padStart(2,'0');return `${String(date.getFullYear()).padStart(4, '0')}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`}
+static #checkDayRules(el){const date=this.#toDate(el);if(!date)return null;if(this._disabledDays(el).has(date.getDay())){let weekday;try{weekday=new Intl.DateTimeFormat(this.#locale,{weekday:'long'}).format(date)}catch(e){weekday=new Intl.DateTimeFormat('en',{weekday:'long'}).format(date)}
+return this.#error('date.disabled_day',{weekday,day:date.getDay()},el.getAttribute('data-disabled-days-errmsg'))}
+if(this._blackoutDates(el).includes(this.#dateKey(date))){return this.#error('date.blackout',{date:this._formatDate(date,el)},el.getAttribute('data-blackout-errmsg'))}
+return null}
+static #rangeBlackout(sd,ed,d1,d2){const from=this.#dateKey(d1),to=this.#dateKey(d2);const blocked=[...this._blackoutDates(sd),...this._blackoutDates(ed)].filter(k=>k>=from&&k<=to).sort();if(!blocked.length)return null;const[y,m,d]=blocked[0].split('-').map(Number);const custom=sd.getAttribute('data-err-msg-range')||ed.getAttribute('data-err-msg-range');return this.#error('range.includes_blackout',{date:this._formatDate(new Date(y,m-1,d),ed)},custom)}
+static _normalizeMonth(text){return text.normalize('NFD').replace(/[\u0300-\u036f.]/g,'').toLocaleLowerCase()}
+static _parseDateParts(value,fmt,locale){const tokens=this._dateTokens(fmt);const escape=str=>str.replace(/[\/\\^$*+?.()|[\]{}]/g,'\\$&');const source=tokens.map((t,i)=>{if(t.unit==='YYYY')return'(\\d+)';if(t.unit==='MMM')return'(\\p{L}+\\.?)';if(t.unit)return'(\\d{1,2})';const optional=i===tokens.length-1?'?':'';return `(?:${escape(t.literal)}|[^\\p{L}\\p{N}_]+)${optional}`}).join('');const match=value.trim().match(new RegExp(`^${source}$`,'u'));if(!match)return null;const parts={year:'',month:NaN,monthText:null,day:''};tokens.filter(t=>t.unit).forEach((t,i)=>{const text=match[i+1];if(t.unit==='YYYY')parts.year=text;else if(t.unit==='DD')parts.day=text;else if(t.unit==='MM')parts.month=parseInt(text,10);else{parts.monthText=text;parts.month=this.#monthFromName(text,locale)}});return parts}
+static #monthFromName(text,locale){const wanted=this._normalizeMonth(text);for(const names of[this._monthNames(locale),this._monthNames('en')]){const index=names.findIndex(n=>this._normalizeMonth(n)===wanted);if(index!==-1)return index+1}
+return NaN}
+static _toDate(el){return this.#toDate(el)}
+static _toTime(el){return this.#toTime(el)}
+static #toDate(el){if(!el||!el.value)return null;const v=this._dateValue(el).trim();if(!v)return null;const isoMatch=v.match(/^(\d{4})[-\/](\d{2})[-\/](\d{2})/);if(isoMatch){const y=parseInt(isoMatch[1],10);const m=parseInt(isoMatch[2],10);const d=parseInt(isoMatch[3],10);if(m>=1&&m<=12&&d>=1&&d<=31){return new Date(y,m-1,d)}}
+const parts=this._parseDateParts(v,this._dateFormat(el),this._dateLocale(el));if(!parts)return null;const[mm,dd,yy]=[parts.month,parseInt(parts.day,10),parseInt(parts.year,10)];if([mm,dd,yy].some(n=>isNaN(n)))return null;if(mm<1||mm>12)return null;if(dd<1||dd>31)return null;const daysInMonth=[0,31,28,31,30,31,30,31,31,30,31,30,31];let maxDays=daysInMonth[mm];if(mm===2){const isLeap=(yy%4===0&&yy%100!==0)||(yy%400===0);if(isLeap)maxDays=29}
 if(dd>maxDays)return null;return new Date(yy,mm-1,dd)}
-static #toTime(el){if(el.type==='time'){if(!el.value)return null;const[h,m]=el.value.split(':').map(n=>parseInt(n,10));if(isNaN(h)||isNaN(m))return null;if(h<0||h>23||m<0||m>59)return null;return h*60+m}
+static #toTime(el){if(el.type==='time'){if(!el.value)return null;const[h,m,sec=0]=el.value.split(':').map(n=>parseFloat(n));if(isNaN(h)||isNaN(m))return null;if(h<0||h>23||m<0||m>59)return null;return h*60+m+sec/60}
+if(this._isTextTime(el)){const value=this._timeValue(el);return value?this._parseTime(value,this._timeFormat(el)):null}
 const val=el.value;if(!val||!val.includes(':'))return null;const parts=val.split(':');const hrs=parseInt(parts[0],10);const $el=el.closest('td, .ms-dtinput');const minsSelect=$el?$el.querySelector('select[id*="Minutes"]'):null;const mins=minsSelect?parseInt(minsSelect.value,10):parseInt(parts[1],10);if(isNaN(hrs)||isNaN(mins))return null;if(hrs<0||hrs>23)return null;if(mins<0||mins>59)return null;return hrs*60+mins}
-static #toDateTime(de,te){const dateObj=this.#toDate(de);const mins=this.#toTime(te);if(!dateObj||mins===null)return null;dateObj.setHours(Math.floor(mins/60),mins%60,0,0);return dateObj}
+static #toDateTime(de,te){const dateObj=this.#toDate(de);const mins=this.#toTime(te);if(!dateObj||mins===null)return null;const zone=this._timeZone(de);if(zone)return new Date(this._zonedInstant(dateObj,mins,zone));const secs=Math.round(mins*60);dateObj.setHours(Math.floor(secs/3600),Math.floor(secs/60)%60,secs%60,0);return dateObj}
 static _findErrorAnchor(el){if(el.hasAttribute('data-error-anchor')){const anchorId=el.getAttribute('data-error-anchor');if(anchorId==='self')return el;const customAnchor=document.getElementById(anchorId);if(customAnchor)return customAnchor}
-if(el.dataset.pair){const pairName=el.dataset.pair;const endEl=document.querySelector(`[masker*="end"][data-pair="${pairName}"]`);if(endEl){const timePartner=endEl.getAttribute('masker')?.includes('time')?endEl:document.querySelector(`[masker*="time end"][data-pair="${pairName}"]`);if(timePartner){return MaskerValidator.findNextSelectWithPartialId(timePartner,'Minutes')||timePartner}
+if(el.dataset.pair&&!el.hasAttribute('data-pair-order')){const pairName=el.dataset.pair;const scope=MaskerValidator._pairScope(el);const endEl=scope.querySelector(`[masker*="end"][data-pair="${pairName}"]`);if(endEl){const timePartner=endEl.getAttribute('masker')?.includes('time')?endEl:scope.querySelector(`[masker*="time end"][data-pair="${pairName}"]`);if(timePartner){return MaskerValidator.findNextSelectWithPartialId(timePartner,'Minutes')||timePartner}
 return endEl}}
 return el}}
-class Masker{static _observers=[];static #isVisible(el){try{if(!el||!el.ownerDocument)return!1;const s=getComputedStyle(el);return s.display!=='none'&&s.visibility!=='hidden'&&el.offsetParent!==null}catch(e){return!0}}
+class Masker{static _observers=[];static _masks=new Map();static #bindings=new WeakMap();static debounce=300;static #validationTimers=new WeakMap();static #templates=new WeakMap();static{this._masks.set('char-count',{setup:el=>this.#setupCharCounter(el)});this._masks.set('number',{setup:el=>{const minNum=el.min?parseInt(el.min,10):null;const maxNum=el.max?parseInt(el.max,10):null;this.#setupNumberMask(el,minNum,maxNum)}});this._masks.set('decimal',{setup:el=>this.#setupDecimalMask(el)});this._masks.set('currency',{setup:el=>this.#setupDecimalMask(el)});this._masks.set('phone',{setup:el=>this.#setupPhoneMask(el)});this._masks.set('pattern',{setup:el=>this.#setupPatternMask(el)});this._masks.set('email',{setup:el=>this.#setupEmailMask(el)});this._masks.set('time',{setup:el=>this.#setupTimeField(el)});this._masks.set('date',{setup:el=>{this.#setupDateMask(el);el.addEventListener('change',e=>this.#handleValidation(e.target))}});this._masks.set('datetime',{setup:el=>{this.#setupDateTimeMask(el);el.addEventListener('change',e=>this.#handleValidation(e.target))}})}
+static defineMask(token,def={}){if(typeof token!=='string'||!token.trim()||/\s/.test(token.trim())){throw new TypeError('Masker.defineMask: token must be a single word.')}
+if(typeof def.setup!=='function'&&typeof def.apply!=='function'){throw new TypeError('Masker.defineMask: a mask needs a setup or an apply function.')}
+this._masks.set(token.trim(),def);return this}
+static #isVisible(el){try{if(!el||!el.ownerDocument)return!1;const s=getComputedStyle(el);return s.display!=='none'&&s.visibility!=='hidden'&&el.offsetParent!==null}catch(e){return!0}}
 static #trySetSelection(el,start=0,end=0){try{if(this.#isVisible(el)){el.setSelectionRange(start,end);return}
 requestAnimationFrame(()=>{try{el.setSelectionRange(start,end)}catch(e){}})}catch(e){}}
 static init(arg={}){let selector='[masker], [required]';let includeHidden=!1;let observe=!1;let containerElement=null;let explicitSelectorProvided=!1;if(typeof arg==='string'){if(arg.startsWith('#')||arg.startsWith('.')){containerElement=document.querySelector(arg)||null}else{selector=arg;explicitSelectorProvided=!0}}else if(typeof arg==='object'&&arg!==null){selector=arg.selector||selector;includeHidden=!!arg.includeHidden;observe=!!arg.observe;if(arg.container){try{containerElement=arg.container.nodeType?arg.container:document.querySelector(arg.container)}catch(e){containerElement=null}}
 if(typeof arg.selector==='string'&&(arg.selector.startsWith('#')||arg.selector.startsWith('.'))){containerElement=document.querySelector(arg.selector)||containerElement;selector='[masker], [required]';explicitSelectorProvided=!1}else{explicitSelectorProvided=(arg.selector!==undefined&&arg.selector!=='[masker], [required]')}}
 let nodes=[];try{if(containerElement&&selector==='[masker], [required]'){nodes=Array.from(containerElement.querySelectorAll(selector))}else{nodes=Array.from(document.querySelectorAll(selector))}}catch(e){try{nodes=Array.from(document.querySelectorAll('[masker], [required]'))}catch(e2){nodes=[]}}
-nodes.forEach(el=>this.#bindElement(el,includeHidden));if(observe){const observeTarget=(containerElement&&containerElement.nodeType)?containerElement:document.body;const descriptor={selector:selector,includeHidden:!!includeHidden,explicitSelectorProvided:!!explicitSelectorProvided};const descriptorEquals=(a,b)=>a.selector===b.selector&&a.includeHidden===b.includeHidden&&a.explicitSelectorProvided===b.explicitSelectorProvided;let existing=null;for(const rec of this._observers){if(rec.target===observeTarget&&descriptorEquals(rec.descriptor,descriptor)){existing=rec;break}}
-if(!existing){const mo=new MutationObserver(mutations=>{for(const m of mutations){if(m.type!=='childList')continue;m.addedNodes.forEach(node=>{if(node.nodeType!==1)return;try{if(descriptor.explicitSelectorProvided&&descriptor.selector&&descriptor.selector!=='[masker], [required]'){try{if(node.matches&&node.matches(descriptor.selector))this.#bindElement(node,descriptor.includeHidden);}catch(e){}
-if(node.querySelectorAll){try{node.querySelectorAll(descriptor.selector).forEach(n=>this.#bindElement(n,descriptor.includeHidden))}catch(e){}}}else{if(node.matches&&(node.matches('[masker]')||node.matches('[required]')))this.#bindElement(node,descriptor.includeHidden);if(node.querySelectorAll)node.querySelectorAll('[masker], [required]').forEach(n=>this.#bindElement(n,descriptor.includeHidden));}}catch(ignore){}})}});mo.observe(observeTarget,{childList:!0,subtree:!0});this._observers.push({target:observeTarget,observer:mo,descriptor:descriptor})}}
+nodes.forEach(el=>this.#bindElement(el,includeHidden));const formRoot=containerElement||document;if(formRoot.matches&&formRoot.matches('form[masker-form]'))this.#bindForm(formRoot);formRoot.querySelectorAll('form[masker-form]').forEach(form=>this.#bindForm(form));if(observe){const observeTarget=(containerElement&&containerElement.nodeType)?containerElement:document.body;const descriptor={selector:selector,includeHidden:!!includeHidden,explicitSelectorProvided:!!explicitSelectorProvided};const descriptorEquals=(a,b)=>a.selector===b.selector&&a.includeHidden===b.includeHidden&&a.explicitSelectorProvided===b.explicitSelectorProvided;let existing=null;for(const rec of this._observers){if(rec.target===observeTarget&&descriptorEquals(rec.descriptor,descriptor)){existing=rec;break}}
+if(!existing){const mo=new MutationObserver(mutations=>{for(const m of mutations){if(m.type!=='childList')continue;m.removedNodes.forEach(node=>{if(node.nodeType!==1||node.isConnected)return;try{this.#teardownElement(node);if(node.querySelectorAll)node.querySelectorAll('[masker]').forEach(n=>this.#teardownElement(n));}catch(ignore){}});m.addedNodes.forEach(node=>{if(node.nodeType!==1)return;try{if(descriptor.explicitSelectorProvided&&descriptor.selector&&descriptor.selector!=='[masker], [required]'){try{if(node.matches&&node.matches(descriptor.selector))this.#bindElement(node,descriptor.includeHidden);}catch(e){}
+if(node.querySelectorAll){try{node.querySelectorAll(descriptor.selector).forEach(n=>this.#bindElement(n,descriptor.includeHidden))}catch(e){}}}else{if(node.matches&&(node.matches('[masker]')||node.matches('[required]')))this.#bindElement(node,descriptor.includeHidden);if(node.querySelectorAll)node.querySelectorAll('[masker], [required]').forEach(n=>this.#bindElement(n,descriptor.includeHidden));}
+if(node.matches&&node.matches('form[masker-form]'))this.#bindForm(node);if(node.querySelectorAll)node.querySelectorAll('form[masker-form]').forEach(f=>this.#bindForm(f));}catch(ignore){}})}});mo.observe(observeTarget,{childList:!0,subtree:!0});this._observers.push({target:observeTarget,observer:mo,descriptor:descriptor})}}
 return this}
 static refreshVisible(container=document){const root=container&&container.nodeType?container:(typeof container==='string'?document.querySelector(container)||document:document);root.querySelectorAll('[masker]').forEach(el=>{try{const m=el.getAttribute('masker')||'';if(m.includes('char-count')){const fb=document.querySelector(`[data-feedback-for="${el.id}"]`);if(fb&&this.#isVisible(el)){fb.style.display='block';const rawText=(el.textContent||'').trim()?el.textContent:(el.value||'');const cleanedText=rawText.replace(/\u200B|\r|\n/g,'');const currLength=cleanedText.length;const maxLength=el.getAttribute('maxlength')||el.maxLength;fb.textContent=`${currLength} / ${maxLength}`}}
 if(this.#isVisible(el)){const mLower=(el.getAttribute('masker')||'').toLowerCase();if(mLower.includes('date')||mLower.includes('phone')||mLower.includes('email')){try{el.setSelectionRange(0,0)}catch(e){}}}}catch(e){}})}
-static #bindElement(el,includeHidden=!1){if(!el||el.dataset.maskBound==='true')return;if(!el.isConnected)return;if(!includeHidden){try{if(!this.#isVisible(el))return}catch(e){}}
-el.dataset.maskBound='true';el.addEventListener('blur',e=>this.#handleValidation(e.target));const m=el.getAttribute('masker');if(!m){this.#addRequiredValidation(el);return}
-const tokenizedArr=m.split(' ').filter(Boolean);if(tokenizedArr.includes('char-count'))this.#setupCharCounter(el);else if(tokenizedArr.includes('number')){const minNum=el.min?parseInt(el.min,10):null;const maxNum=el.max?parseInt(el.max,10):null;this.#setupNumberMask(el,minNum,maxNum)}else if(tokenizedArr.includes('phone'))this.#setupPhoneMask(el);else if(tokenizedArr.includes('email'))this.#setupEmailMask(el);else if(tokenizedArr.includes('time'))this.#setupTimeField(el);else if(tokenizedArr.includes('date')){this.#setupDateMask(el);el.addEventListener('change',e=>this.#handleValidation(e.target))}
-if(tokenizedArr.includes('special')){this.#setupFilterSpecialCharactersMask(el)}
+static #bindElement(el,includeHidden=!1){if(!el||!el.isConnected)return;if(el.dataset.maskBound==='true'){const binding=this.#bindings.get(el);if(binding&&!binding.active){if(binding.def.setup)binding.def.setup(el);binding.active=!0}
+return}
+if(!includeHidden){try{if(!this.#isVisible(el))return}catch(e){}}
+el.dataset.maskBound='true';el.addEventListener('blur',e=>this.#handleValidation(e.target));el.addEventListener('input',e=>{if(MaskerValidator.hasAsyncValidators(e.target))this.#handleValidation(e.target);});this.#bindComparisons(el);const m=el.getAttribute('masker');if(!m){this.#addRequiredValidation(el);return}
+const tokenizedArr=m.split(' ').filter(Boolean);const maskToken=Array.from(this._masks.keys()).find(token=>tokenizedArr.includes(token));if(maskToken)this.#applyMaskDefinition(el,this._masks.get(maskToken));if(el.hasAttribute('data-mirror'))this.#setupMirror(el);if(el.dataset.pair)this.#setupDurationOutput(el);if(tokenizedArr.includes('special')){this.#setupFilterSpecialCharactersMask(el)}
 this.#addRequiredValidation(el)}
+static #applyMaskDefinition(el,def){const placeholder=typeof def.placeholder==='function'?def.placeholder(el):def.placeholder;if(placeholder){const visible=(el.getAttribute('masker')||'').includes('visible');if(visible)el.value=placeholder;el.addEventListener('focus',e=>{if(!e.target.value){e.target.value=placeholder;this.#trySetSelection(e.target,0,0)}});el.addEventListener('keydown',e=>{if(e.target.value===placeholder&&e.key==='Backspace')e.target.value=''});el.addEventListener('blur',e=>{if(e.target.value===placeholder&&!visible)e.target.value=''})}
+if(def.apply){el.addEventListener('input',e=>{const out=def.apply(e.target.value,e.target);if(typeof out==='string'&&out!==e.target.value)e.target.value=out})}
+if(def.setup)def.setup(el);this.#bindings.set(el,{def,active:!0})}
+static #teardownElement(el){const binding=this.#bindings.get(el);if(!binding||!binding.active||!binding.def.teardown)return;binding.def.teardown(el);binding.active=!1}
+static #bindForm(form){if(form.dataset.maskFormBound==='true')return;form.dataset.maskFormBound='true';form.noValidate=!0;form.addEventListener('submit',e=>{if(form.dataset.maskSubmitting==='true'){delete form.dataset.maskSubmitting;return}
+const active=document.activeElement;if(this.#templates.has(active)&&form.contains(active))this.#templates.get(active)();const fields=Array.from(form.querySelectorAll('[masker]'));if(!fields.some(el=>MaskerValidator.hasAsyncValidators(el))){const errors=MaskerValidator.validateForm(form);this.#renderErrorSummary(form,errors);if(errors.length){e.preventDefault();this.#focusFirstError(form,errors)}
+return}
+e.preventDefault();const submitter=e.submitter;MaskerValidator.validateFormAsync(form).then(errors=>{this.#renderErrorSummary(form,errors);if(errors.length){this.#focusFirstError(form,errors);return}
+if(form.requestSubmit){form.dataset.maskSubmitting='true';form.requestSubmit(submitter&&submitter.form===form?submitter:undefined)}else{form.submit()}})})}
+static #focusFirstError(form,errors){const first=errors.map(err=>err.id&&document.getElementById(err.id)).find(Boolean);if(!first)return;try{first.scrollIntoView({block:'center',behavior:'smooth'})}catch(e){}
+try{first.focus({preventScroll:!0})}catch(e){}}
+static #renderErrorSummary(form,errors){const targetId=form.getAttribute('data-error-summary');const target=targetId?document.getElementById(targetId):null;let summary=(target||form).querySelector('.error-summary');if(!summary){summary=document.createElement('div');summary.className='error-summary';summary.setAttribute('role','alert');if(target){target.appendChild(summary)}else{form.insertAdjacentElement('afterbegin',summary)}}
+summary.textContent='';if(!errors.length){summary.style.display='none';return}
+const title=document.createElement('p');title.className='error-summary-title';title.textContent=form.getAttribute('data-summary-title')||MaskerValidator.formatMessage('summary.title');const list=document.createElement('ul');errors.forEach(err=>{const item=document.createElement('li');const text=`${err.title}: ${err.message}`;if(err.id){const link=document.createElement('a');link.href=`#${err.id}`;link.textContent=text;link.addEventListener('click',e=>{e.preventDefault();this.#focusFirstError(form,[err])});item.appendChild(link)}else{item.textContent=text}
+list.appendChild(item)});summary.append(title,list);summary.style.display=''}
 static #clearAllErrorsForPair(el){MaskerValidator.clearError(el);if(el.hasAttribute('single-line-errors')){return}
-if(el.dataset.pair){const pairName=el.dataset.pair;document.querySelectorAll(`[data-pair="${pairName}"]`).forEach(p=>{MaskerValidator.clearError(p);if(p.getAttribute('masker')?.includes('time')){const minutesSelect=MaskerValidator.findNextSelectWithPartialId(p,'Minutes');if(minutesSelect)MaskerValidator.clearError(minutesSelect);}})}}
-static #handleValidation(el){setTimeout(()=>{this.#clearAllErrorsForPair(el);const errorMessage=MaskerValidator.validate(el);if(errorMessage){MaskerValidator.displayError(el,errorMessage)}
-if(el.hasAttribute('single-line-errors')&&el.dataset.pair){const pairName=el.dataset.pair;document.querySelectorAll(`[data-pair="${pairName}"]`).forEach(p=>{if(p===el)return;const pError=MaskerValidator.validate(p);if(pError){MaskerValidator.displayError(p,pError)}else{MaskerValidator.clearError(p)}})}},300)}
+MaskerValidator._compareFields(el).concat(MaskerValidator._compareDependents(el)).filter(f=>f.matches('[masker], [required]')).forEach(f=>MaskerValidator.clearError(f));if(el.dataset.pair){const pairName=el.dataset.pair;MaskerValidator._pairScope(el).querySelectorAll(`[data-pair="${pairName}"]`).forEach(p=>{MaskerValidator.clearError(p);if(p.getAttribute('masker')?.includes('time')){const minutesSelect=MaskerValidator.findNextSelectWithPartialId(p,'Minutes');if(minutesSelect)MaskerValidator.clearError(minutesSelect);}})}}
+static #handleValidation(el){clearTimeout(this.#validationTimers.get(el));const delay=parseInt(el.getAttribute('data-debounce'),10);this.#validationTimers.set(el,setTimeout(()=>{this.#validationTimers.delete(el);this.#runValidation(el)},isNaN(delay)?this.debounce:delay))}
+static #runValidation(el){this.#clearAllErrorsForPair(el);const error=MaskerValidator.getValidationResult(el);if(error){MaskerValidator.displayError(el,error)}
+if(MaskerValidator.hasAsyncValidators(el)){const run=MaskerValidator.getValidationResultAsync(el);if(!error){run.then(asyncError=>{if(run!==MaskerValidator._latestAsyncRun(el))return;if(asyncError){MaskerValidator.displayError(el,asyncError)}else{MaskerValidator.clearError(el)}})}}
+if(el.dataset.pair&&el.hasAttribute('data-pair-order')&&!el.hasAttribute('single-line-errors')){MaskerValidator._pairScope(el).querySelectorAll(`[data-pair="${el.dataset.pair}"][data-pair-order]`).forEach(p=>{if(p===el||!p.value)return;const pError=MaskerValidator.getValidationResult(p);if(pError)MaskerValidator.displayError(p,pError);})}
+const related=MaskerValidator._compareDependents(el).filter(p=>p.value);if(el.hasAttribute('single-line-errors'))related.push(...MaskerValidator._compareFields(el).filter(f=>f.matches('[masker], [required]')));related.forEach(p=>{const pError=MaskerValidator.getValidationResult(p);if(pError){MaskerValidator.displayError(p,pError)}else{MaskerValidator.clearError(p)}});if(el.hasAttribute('single-line-errors')&&el.dataset.pair){const pairName=el.dataset.pair;MaskerValidator._pairScope(el).querySelectorAll(`[data-pair="${pairName}"]`).forEach(p=>{if(p===el)return;const pError=MaskerValidator.getValidationResult(p);if(pError){MaskerValidator.displayError(p,pError)}else{MaskerValidator.clearError(p)}})}}
+static #bindComparisons(el){MaskerValidator._compareFields(el).forEach(other=>{other.addEventListener('change',()=>{if(el.value){this.#handleValidation(el)}else{MaskerValidator.clearError(el)}})})}
 static #addRequiredValidation(el){const m=el.getAttribute('masker')||'';if(el.hasAttribute('required')||m.includes('required')){el.addEventListener('blur',e=>MaskerValidator.validateRequired(e.target));el.addEventListener('input',e=>MaskerValidator.clearError(e.target))}}
-static #setupDateMask(el){const maskAttr=el.getAttribute('masker')||'';const rawFmt=el.getAttribute('data-format')||'MDY';const alias={MDY:'MM/DD/YYYY',DMY:'DD/MM/YYYY',YMD:'YYYY/MM/DD','US-CIV':'MM/DD/YYYY'};const fmt=alias[rawFmt]||rawFmt;const ph=fmt.replace(/[MDY]/g,'_');const visible=maskAttr.includes('visible');if(rawFmt==='US-MIL'){return this.#setupMilDateMask(el)}
-if(visible)el.value=ph;const onInput=e=>{this.#applyDateMask(e,fmt);MaskerValidator.clearError(e.target)};el.addEventListener('focus',e=>{if(!e.target.value){e.target.value=ph;this.#trySetSelection(e.target,0,0)}});el.addEventListener('input',onInput);el.addEventListener('keydown',e=>{if(e.target.value===ph&&e.key==='Backspace')e.target.value=''});el.addEventListener('blur',e=>{if(e.target.value===ph&&!visible){e.target.value=''}
-const errorMessage=MaskerValidator.validate(e.target);if(errorMessage){MaskerValidator.displayError(e.target,errorMessage)}else{MaskerValidator.clearError(e.target);const anchor=MaskerValidator._findErrorAnchor(e.target);if(anchor!==e.target)MaskerValidator.clearError(anchor);}})}
-static #setupMilDateMask(el){const placeholder='YYYY MMM DD';if(el.getAttribute('masker').includes('visible'))el.value=placeholder;el.addEventListener('input',this.#applyMilDateMask);el.addEventListener('focus',e=>{if(!e.target.value){e.target.value=placeholder;this.#trySetSelection(e.target,0,0)}});el.addEventListener('keydown',e=>{if(e.target.value===placeholder&&e.key==='Backspace'){e.target.value=''}});el.addEventListener('blur',e=>{if(e.target.value===placeholder&&!el.getAttribute('masker').includes('visible')){e.target.value=''}
-const errorMessage=MaskerValidator.validate(e.target);if(errorMessage){MaskerValidator.displayError(e.target,errorMessage)}else{MaskerValidator.clearError(e.target);const anchor=this._findErrorAnchor(e.target);if(anchor!==e.target)MaskerValidator.clearError(anchor);}})}
-static #applyMilDateMask(e){const i=e.target;const c=i.value.replace(/[^A-Za-z0-9]/g,'').toUpperCase();let out=c.slice(0,4);if(c.length>4)out+=' '+c.slice(4,7);if(c.length>7)out+=' '+c.slice(7,9);i.value=out}
-static #applyDateMask(e,fmt){const i=e.target;const c=i.value.replace(/\D/g,'');let out='',ci=0;for(let j=0;j<fmt.length&&ci<c.length;j++){out+=/[MDY]/.test(fmt[j])?c[ci++]:fmt[j]}
-i.value=out}
+static #setupDateMask(el){const fmt=MaskerValidator._dateFormat(el);const tokens=MaskerValidator._dateTokens(fmt);const ph=tokens.map(t=>t.literal!==undefined?t.literal:'_'.repeat(t.unit==='MMM'?3:t.unit.length)).join('');this.#bindTemplateMask(el,ph,(raw,typed)=>this.#formatDate(raw,tokens,MaskerValidator._dateMonths(el),typed),{inPlace:!0});el.addEventListener('input',e=>MaskerValidator.clearError(e.target));el.addEventListener('paste',e=>this.#pasteCanonical(e));['data-min-date','data-max-date'].forEach(attr=>{const ref=MaskerValidator._dateBoundField(el,el.getAttribute(attr));if(ref)ref.addEventListener('change',()=>{if(el.value&&el.value!==ph)this.#handleValidation(el);});});el.addEventListener('blur',e=>{const error=MaskerValidator.getValidationResult(e.target);if(error){MaskerValidator.displayError(e.target,error)}else{MaskerValidator.clearError(e.target);const anchor=MaskerValidator._findErrorAnchor(e.target);if(anchor!==e.target)MaskerValidator.clearError(anchor);}})}
+static #formatDate(raw,tokens,months,typed=raw.length){let out='',ci=0,ti=0,partial=0;const hasMore=(from=ci)=>/[\p{L}\p{N}]/u.test(raw.slice(from));for(;ti<tokens.length;ti++){const t=tokens[ti];partial=0;if(!hasMore())break;if(t.literal!==undefined){out+=t.literal;while(raw[ci]==='_')ci++;if(raw.startsWith(t.literal,ci)){ci+=t.literal.length;if(ci===typed&&raw.startsWith(t.literal,ci))ci+=t.literal.length}
+continue}
+if(t.unit==='MMM'){const month=this.#readMonth(raw,ci,months);out+=month.text;ci=month.next;if(!month.complete){if(!hasMore()){partial=month.text.length;break}
+out+='_'.repeat(Math.max(0,3-month.text.length));while(raw[ci]==='_')ci++}
+continue}
+const next=tokens[ti+1];const atNext=()=>next&&next.literal!==undefined&&raw.startsWith(next.literal,ci);const monthAhead=tokens.slice(ti+1).some(n=>n.unit==='MMM');let filled=0,stopped=!1;while(filled<t.unit.length&&ci<raw.length){const c=raw[ci];if(/\d/.test(c)||(c==='_'&&hasMore(ci+1))){out+=c;filled++}else if(filled&&t.unit!=='YYYY'&&ci<typed&&/\d/.test(raw[ci-1])&&(/\p{L}/u.test(c)||atNext())){out=out.slice(0,-filled)+out.slice(-filled).padStart(t.unit.length,'0');filled=t.unit.length;break}else if((monthAhead&&/\p{L}/u.test(c))||(ci>=typed&&atNext())){stopped=!0;break}
+ci++}
+if(stopped){out+='_'.repeat(t.unit.length-filled)}else if(filled<t.unit.length){partial=filled;break}else{while(ci>=typed&&/[\d_]/.test(raw[ci]||'')&&next&&next.literal!==undefined&&raw.includes(next.literal,ci))ci++}}
+const tail=tokens.slice(ti).map((t,i)=>{if(t.literal!==undefined)return t.literal;const slots=t.unit==='MMM'?3:t.unit.length;return'_'.repeat(Math.max(0,slots-(i?0:partial)))}).join('');return{value:out,tail,next:ci}}
+static #readMonth(raw,ci,months){const norm=text=>MaskerValidator._normalizeMonth(text);let typed='';while(ci<raw.length){const c=raw[ci];if(c==='.'){ci++;continue}
+if(!/\p{L}/u.test(c))break;ci++;const candidates=months.filter(m=>norm(m).startsWith(norm(typed+c)));if(!candidates.length)continue;typed+=c;const exact=candidates.find(m=>norm(m)===norm(typed));if(exact&&candidates.length===1)return{text:exact,next:ci,complete:!0}}
+const matches=typed?months.filter(m=>norm(m).startsWith(norm(typed))):[];const exact=matches.find(m=>norm(m)===norm(typed))||(matches.length===1?matches[0]:null);if(exact&&ci<raw.length)return{text:exact,next:ci,complete:!0};return{text:typed,next:ci,complete:!1}}
+static #setupDurationOutput(el){const update=()=>{const outputs=MaskerValidator._pairScope(el).querySelectorAll(`[data-duration-for="${el.dataset.pair}"]`);if(!outputs.length)return;const minutes=MaskerValidator.getPairDuration(el);outputs.forEach(out=>{const text=minutes===null?'':this.#formatPairDuration(minutes,out.getAttribute('data-duration-format'));if(out.tagName==='INPUT')out.value=text;else out.textContent=text;out.dataset.minutes=minutes??''})};['input','change','blur'].forEach(type=>el.addEventListener(type,update));update()}
+static #formatPairDuration(minutes,format){if(format==='minutes')return String(minutes);if(format==='hours')return String(Math.round(minutes/60*100)/100);if(format==='hh:mm')return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;return MaskerValidator._formatDuration(minutes*60000)}
 static #setupCharCounter(el){let fb=document.querySelector(`[data-feedback-for="${el.id}"]`);if(!fb){fb=document.createElement('span');fb.className='char-counter-feedback';fb.dataset.feedbackFor=el.id;el.insertAdjacentElement('afterend',fb)}
 const visibleToken=el.getAttribute('masker').includes('visible');if(!visibleToken){fb.style.display='none'}else{if(this.#isVisible(el)){this.#updateCharCount(el,fb)}}
 el.addEventListener('keydown',e=>this.#limitInput(e));el.addEventListener('input',()=>{if(this.#isVisible(el)){this.#updateCharCount(el,fb)}else{const rawText=(el.textContent||'').trim()?el.textContent:(el.value||'');const cleanedText=rawText.replace(/\u200B|\r|\n/g,'');const currLength=cleanedText.length;const maxLength=el.getAttribute('maxlength')||el.maxLength;fb.textContent=`${currLength} / ${maxLength}`}})}
 static #updateCharCount(el,fb){if(!this.#isVisible(el))return;if(fb.style.display==='none')fb.style.display='block';const rawText=(el.textContent||'').trim()?el.textContent:(el.value||'');const cleanedText=rawText.replace(/\u200B|\r|\n/g,'');const currLength=cleanedText.length;const maxLength=el.getAttribute('maxlength')||el.maxLength;fb.textContent=`${currLength} / ${maxLength}`}
 static #setupNumberMask(el,minNum,maxNum){el.addEventListener('input',e=>{const target=e.target;target.value=target.value.replace(/\D/g,'').slice(0,target.maxLength);const currValStr=target.value;if(currValStr===''){target.style.backgroundColor='';target.style.color='';return}
 const currValNum=parseInt(currValStr,10);const isTooLow=minNum!==null&&currValNum<minNum;const isTooHigh=maxNum!==null&&currValNum>maxNum;if(isTooLow||isTooHigh){target.style.backgroundColor='#D32F2F';target.style.color='white';setTimeout(()=>{target.style.backgroundColor='';target.style.color='';if(isTooLow){target.value=minNum}else if(isTooHigh){target.value=maxNum}},400)}else{target.style.backgroundColor='';target.style.color=''}})}
+static #setupDecimalMask(el){if(!el.getAttribute('inputmode'))el.setAttribute('inputmode','decimal');el.addEventListener('input',e=>{const input=e.target;const conf=MaskerValidator._numberFormat(input);const caret=input.selectionStart??input.value.length;const anchors=text=>{const plain=conf.symbol?text.split(conf.symbol).join('\0'.repeat(conf.symbol.length)):text;const at=[];for(let i=0;i<plain.length;i++){if(/[\d-]/.test(plain[i])||plain.startsWith(conf.decimal,i))at.push(i+1);}
+return at};const before=anchors(this.#formatDecimal(input.value.slice(0,caret),conf,!1)).length;input.value=this.#formatDecimal(input.value,conf,!1);const pos=before?(anchors(input.value)[before-1]??input.value.length):0;this.#trySetSelection(input,pos,pos)});el.addEventListener('blur',e=>{const conf=MaskerValidator._numberFormat(e.target);if((conf.isCurrency||conf.precision===0)&&e.target.value)e.target.value=this.#formatDecimal(e.target.value,conf,!0);})}
+static #formatDecimal(raw,conf,padFraction){const text=conf.symbol?raw.split(conf.symbol).join(''):raw;const firstDigit=text.search(/\d/);const minusAt=text.indexOf('-');const negative=conf.negative&&minusAt!==-1&&(firstDigit===-1||minusAt<firstDigit);const decimalAt=text.indexOf(conf.decimal);const intDigits=(decimalAt===-1?text:text.slice(0,decimalAt)).replace(/\D/g,'').replace(/^0+(?=\d)/,'');let fraction=decimalAt===-1?'':text.slice(decimalAt+conf.decimal.length).replace(/\D/g,'').slice(0,conf.precision);if(!intDigits&&decimalAt===-1)return negative?'-':'';if(padFraction&&conf.precision>0)fraction=fraction.padEnd(conf.precision,'0');const showDecimal=conf.precision>0?decimalAt!==-1||padFraction:decimalAt!==-1&&!padFraction;const grouped=(intDigits||'0').replace(/\B(?=(\d{3})+(?!\d))/g,conf.group);const number=grouped+(showDecimal?conf.decimal+fraction:'');const sign=negative?'-':'';if(!conf.symbol)return sign+number;return conf.position==='suffix'?`${sign}${number}\u00a0${conf.symbol}`:`${sign}${conf.symbol}${number}`}
+static getNumber(el){const maskerAttr=el.getAttribute('masker')||'';const tokens=maskerAttr.split(/\s+/);let n;if(tokens.includes('decimal')||tokens.includes('currency')){n=MaskerValidator._parseNumber(el.value,MaskerValidator._numberFormat(el))}else{n=el.value.trim()===''?null:Number(el.value.replace(/[^\d.-]/g,''))}
+return n===null||isNaN(n)?null:n}
+static getRawValue(el){const tokens=(el.getAttribute('masker')||'').split(/\s+/);if(['date','time','datetime'].some(t=>tokens.includes(t)))return this.getValue(el,'iso');if(tokens.includes('phone'))return this.getValue(el,'e164')??this.getValue(el,'digits');if(['number','decimal','currency'].some(t=>tokens.includes(t)))return this.getValue(el,'number');if(tokens.includes('pattern')){const{value,slotEnds}=this.#formatPattern(el.value,this._compilePattern(el.getAttribute('data-mask')||''));return slotEnds.map(end=>value[end-1]).join('')||null}
+return el.value===''?null:el.value}
+static getValue(el,format){const tokens=(el.getAttribute('masker')||'').split(/\s+/);if(format==='digits'){const digits=el.value.replace(/\D/g,'');return digits||null}
+if(format==='number'){const n=this.getNumber(el);return n===null?null:String(n)}
+if(format==='iso'){const pad=n=>String(n).padStart(2,'0');const isoDate=()=>{const date=MaskerValidator._toDate(el);if(!date)return null;return `${String(date.getFullYear()).padStart(4, '0')}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`};const isoTime=()=>{const mins=MaskerValidator._toTime(el);if(mins===null)return null;const total=Math.round(mins*60);const hhmm=`${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}`;return/ss/.test(MaskerValidator._timeFormat(el))||total%60?`${hhmm}:${pad(total % 60)}`:hhmm};if(tokens.includes('datetime')){const date=isoDate();const time=isoTime();return date&&time?`${date}T${time}${this.#isoOffset(el)}`:null}
+if(tokens.includes('date'))return isoDate();if(tokens.includes('time')){const time=isoTime();return time&&`${time}${this.#isoOffset(el)}`}
+return null}
+if(format==='e164'){if(!tokens.includes('phone'))return null;const{dial,trunk}=this._phoneFormat(el);let digits=el.value.replace(/\D/g,'');if(!dial||!digits||MaskerValidator.validatePhone(el))return null;if(trunk&&digits.startsWith(trunk))digits=digits.slice(trunk.length);return `+${dial}${digits}`}
+throw new TypeError(`Masker.getValue: unknown format '${format}'.`)}
+static #isoOffset(el){const zone=MaskerValidator._timeZone(el);if(!zone)return'';const{date,time}=MaskerValidator._pairSide(el);const day=(date&&MaskerValidator._toDate(date))||new Date();const offset=MaskerValidator._zoneOffset(MaskerValidator._zonedInstant(day,MaskerValidator._toTime(time||el)||0,zone),zone);const abs=Math.abs(offset);return `${offset < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`}
+static setValue(el,value,{validate=!0}={}){clearTimeout(this.#validationTimers.get(el));this.#validationTimers.delete(el);el.value=this.#toMaskInput(el,value);el.dispatchEvent(new Event('input',{bubbles:!0}));el.dispatchEvent(new Event('change',{bubbles:!0}));clearTimeout(this.#validationTimers.get(el));this.#validationTimers.delete(el);if(validate&&el.value!==''){this.#runValidation(el)}else{MaskerValidator.clearError(el);const anchor=MaskerValidator._findErrorAnchor(el);if(anchor!==el)MaskerValidator.clearError(anchor);}
+return el.value}
+static #toMaskInput(el,value){if(value===null||value===undefined||value==='')return'';const tokens=(el.getAttribute('masker')||'').split(/\s+/);const pad=n=>String(n).padStart(2,'0');const zone=MaskerValidator._timeZone(el);if(value instanceof Date&&!isNaN(value)&&zone)value=MaskerValidator._wallClock(value.getTime(),zone);if(tokens.includes('datetime')){let date=null;if(value instanceof Date&&!isNaN(value)){date=value}else{const iso=/^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:?\d{2})?/.exec(String(value).trim());if(iso&&iso[7]){const offset=iso[7]==='Z'?0:(iso[7][0]==='-'?-1:1)*(+iso[7].slice(1,3)*60+ +iso[7].slice(-2));const ms=Date.UTC(+iso[1],+iso[2]-1,+iso[3],+iso[4],+iso[5],+iso[6]||0)-offset*60000;date=zone?MaskerValidator._wallClock(ms,zone):new Date(ms)}else if(iso){date=new Date(+iso[1],+iso[2]-1,+iso[3],+iso[4],+iso[5],+iso[6]||0)}}
+if(!date)return String(value);const minutes=date.getHours()*60+date.getMinutes()+date.getSeconds()/60;return MaskerValidator._formatDate(date,el)+MaskerValidator._dateTimeFormat(el).separator+MaskerValidator._formatTime(minutes,el)}
+if(tokens.includes('date')){let parts=null;if(value instanceof Date&&!isNaN(value)){parts={year:value.getFullYear(),month:value.getMonth()+1,day:value.getDate()}}else{const iso=/^(\d{4})-(\d{2})-(\d{2})(?:$|T)/.exec(String(value));if(iso)parts={year:+iso[1],month:+iso[2],day:+iso[3]}}
+if(!parts)return String(value);return MaskerValidator._formatDate(new Date(parts.year,parts.month-1,parts.day),el)}
+if(tokens.includes('time')){let minutes=null;if(value instanceof Date&&!isNaN(value)){minutes=value.getHours()*60+value.getMinutes()+value.getSeconds()/60}else{const iso=/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());if(iso&&+iso[1]<24&&+iso[2]<60)minutes=+iso[1]*60+ +iso[2]+(+iso[3]||0)/60}
+if(minutes===null)return String(value);if(el.type==='time')return `${pad(Math.floor(minutes / 60))}:${pad(Math.floor(minutes) % 60)}`;return MaskerValidator._formatTime(minutes,el)}
+if(tokens.includes('phone')){const text=String(value).trim();const{dial,trunk}=this._phoneFormat(el);if(dial&&text.startsWith('+')){const digits=text.replace(/\D/g,'');if(digits.startsWith(dial))return(trunk||'')+digits.slice(dial.length);}
+return text}
+if(tokens.includes('decimal')||tokens.includes('currency')){const conf=MaskerValidator._numberFormat(el);let text=String(value);if(typeof value==='number'||/^-?\d+(\.\d+)?$/.test(text)){const n=Number(value);if(isNaN(n))return'';text=(conf.precision>0?n.toFixed(conf.precision).replace(/\.?0+$/,''):n.toFixed(0)).replace('.',conf.decimal)}
+return this.#formatDecimal(text,conf,conf.isCurrency||conf.precision===0)}
+return String(value)}
+static #pasteCanonical(e){const el=e.target;const text=e.clipboardData?e.clipboardData.getData('text').trim():'';if(!text||this.#toMaskInput(el,text)===text)return;e.preventDefault();this.setValue(el,text)}
+static #setupMirror(el){const name=el.getAttribute('data-mirror');const scope=el.form||el.parentNode;let hidden=Array.from(scope.querySelectorAll('input[type="hidden"]')).find(h=>h.name===name);if(!hidden){hidden=document.createElement('input');hidden.type='hidden';hidden.name=name;el.insertAdjacentElement('afterend',hidden)}
+const sync=()=>{const format=el.getAttribute('data-mirror-format');hidden.value=(format?this.getValue(el,format):this.getRawValue(el))??''};['input','change','blur'].forEach(type=>el.addEventListener(type,sync));sync()}
 static #setupFilterSpecialCharactersMask(el){el.addEventListener('input',e=>{const input=e.target;const extraAllowed=input.dataset.allowChars||'';const escapedExtra=extraAllowed.replace(/[-\/\\^$*+?.()|[\]{}]/g,'\\$&');const filterRegex=new RegExp(`[^a-zA-Z0-9_${escapedExtra}-]`,'g');input.value=input.value.replace(filterRegex,'')})}
-static #setupPhoneMask(el){const formats={US:'(000) 000-0000',DSN:'000-000-0000',UK:'00000 000000',FR:'00 00 00 00 00',DE:'0000 0000000',JP:'000-0000-0000',IN:'00000 00000',CN:'000 0000 0000',KR:'00-0000-0000',BR:'(00) 00000-0000',AR:'(000) 0000-0000',AU:'0000 000 000'};const fmt=formats[el.getAttribute('data-format')||'US']||el.getAttribute('data-format');const placeholder=fmt.replace(/0/g,'_');if(el.getAttribute('masker').includes('visible')){el.value=placeholder}
-el.addEventListener('focus',e=>{if(!e.target.value){e.target.value=placeholder;this.#trySetSelection(e.target,0,0)}});el.addEventListener('input',e=>this.#applyPatternMask(e,fmt,'0'));el.addEventListener('keydown',e=>{if(e.target.value===placeholder&&e.key==='Backspace'){e.target.value=''}});el.addEventListener('blur',e=>{if(e.target.value===placeholder&&!el.getAttribute('masker').includes('visible')){e.target.value=''}
-const errorMessage=MaskerValidator.validate(e.target);if(errorMessage){MaskerValidator.displayError(e.target,errorMessage)}else{MaskerValidator.clearError(e.target)}})}
-static #applyPatternMask(e,fmt,ph){const input=e.target;const digits=input.value.replace(/\D/g,'');let out='',di=0;for(let i=0;i<fmt.length&&di<digits.length;i++){out+=(fmt[i]===ph?digits[di++]:fmt[i])}
-input.value=out}
+static _phoneFormats={US:{template:'(000) 000-0000',dial:'1',lead:/^[2-9]\d\d[2-9]/},DSN:{template:'000-000-0000',dial:null},UK:{template:'00000 000000',dial:'44',trunk:'0',lead:/^0[1237-9]/},FR:{template:'00 00 00 00 00',dial:'33',trunk:'0',lead:/^0[1-9]/},DE:{template:'0000 0000000',dial:'49',trunk:'0',lead:/^0[1-9]/},JP:{template:'000-0000-0000',dial:'81',trunk:'0',lead:/^0[5789]0/},IN:{template:'00000 00000',dial:'91',lead:/^[6-9]/},CN:{template:'000 0000 0000',dial:'86',lead:/^1[3-9]/},KR:{template:'00-0000-0000',dial:'82',trunk:'0',lead:/^0[1-9]/},BR:{template:'(00) 00000-0000',dial:'55',lead:/^[1-9][1-9]9/},AR:{template:'(000) 0000-0000',dial:'54',trunk:'0',lead:/^0[1-9]/},AU:{template:'0000 000 000',dial:'61',trunk:'0',lead:/^0[2-478]/}};static _phoneFormat(el){const code=el.getAttribute('data-format')||'US';return this._phoneFormats[code]||{template:code,dial:null}}
+static _phoneCountry(value){const code=String(value||'').trim().toUpperCase();const key=code==='GB'?'UK':code;return this._phoneFormats[key]?key:null}
+static #setupPhoneMask(el){const template=()=>this._phoneFormat(el).template;this.#bindTemplateMask(el,()=>template().replace(/0/g,'_'),raw=>this.#formatPhone(raw,template()));this.#linkCountrySource(el);el.addEventListener('paste',e=>this.#pasteInternational(e));el.addEventListener('blur',e=>{const error=MaskerValidator.getValidationResult(e.target);if(error){MaskerValidator.displayError(e.target,error)}else{MaskerValidator.clearError(e.target)}})}
+static #linkCountrySource(el){const selector=el.getAttribute('data-country-source');const source=selector?document.querySelector(selector):null;if(!source)return;const apply=validate=>{const code=this._phoneCountry(source.value);if(!code||code===(el.getAttribute('data-format')||'US'))return;el.setAttribute('data-format',code);this.setValue(el,el.value.replace(/\D/g,''),{validate})};source.addEventListener('change',()=>apply(!0));apply(!1)}
+static #pasteInternational(e){const el=e.target;const text=e.clipboardData?e.clipboardData.getData('text').trim():'';if(!text.startsWith('+'))return;const digits=text.replace(/\D/g,'');const selector=el.getAttribute('data-country-source');const source=selector?document.querySelector(selector):null;if(source){const code=Object.keys(this._phoneFormats).filter(k=>this._phoneFormats[k].dial&&digits.startsWith(this._phoneFormats[k].dial)).sort((a,b)=>this._phoneFormats[b].dial.length-this._phoneFormats[a].dial.length)[0];const option=code&&source.options?Array.from(source.options).find(o=>this._phoneCountry(o.value)===code):null;if(option||(code&&!source.options)){source.value=option?option.value:code;source.dispatchEvent(new Event('change',{bubbles:!0}))}}
+const{dial}=this._phoneFormat(el);if(!dial||!digits.startsWith(dial))return;e.preventDefault();this.setValue(el,text)}
+static #formatPhone(raw,fmt){const digits=raw.replace(/\D/g,'');let value='',di=0,i=0;for(;i<fmt.length&&di<digits.length;i++){value+=(fmt[i]==='0'?digits[di++]:fmt[i])}
+return{value,tail:fmt.slice(i).replace(/0/g,'_')}}
+static _patternSlots={'9':/\d/,'A':/[A-Za-z]/,'*':/[A-Za-z0-9]/};static _compilePattern(mask){const tokens=[];for(let i=0;i<mask.length;i++){const ch=mask[i];if(ch==='\\'&&i+1<mask.length){tokens.push({literal:mask[++i]})}else if(this._patternSlots[ch]){const optional=mask[i+1]==='?';if(optional)i++;tokens.push({test:this._patternSlots[ch],optional})}else{tokens.push({literal:ch})}}
+return tokens}
+static _patternSource(tokens){return tokens.map(t=>t.literal!==undefined?t.literal.replace(/[-\/\\^$*+?.()|[\]{}]/g,'\\$&'):t.test.source+(t.optional?'?':'')).join('')}
+static #formatPattern(raw,tokens){let value='',ti=0,ci=0;let groupAt=0,groupToken=0;const slotEnds=[];while(ti<tokens.length&&ci<raw.length){const t=tokens[ti];const c=raw[ci];if(t.literal!==undefined){value+=t.literal;ti++;groupAt=value.length;groupToken=ti;if(c===t.literal)ci++}else if(t.test.test(c)){value+=c;slotEnds.push(value.length);ti++;ci++}else if(t.optional){ti++}else{const next=tokens.findIndex((u,i)=>i>ti&&u.literal!==undefined);const closes=next!==-1&&c===tokens[next].literal&&new RegExp(`^${this._patternSource(tokens.slice(groupToken, next))}$`).test(value.slice(groupAt));if(closes)ti=next;else ci++}}
+const rest=tokens.slice(ti);const tail=rest.some(t=>t.test&&!t.optional)?rest.map(t=>t.literal!==undefined?t.literal:'_').join(''):'';return{value,slotEnds,tail}}
+static #setupPatternMask(el){const tokens=this._compilePattern(el.getAttribute('data-mask')||'');const placeholder=tokens.map(t=>t.literal!==undefined?t.literal:'_').join('');this.#bindTemplateMask(el,placeholder,raw=>this.#formatPattern(raw,tokens))}
+static #bindTemplateMask(el,template,format,{inPlace=!1}={}){const placeholder=()=>typeof template==='function'?template():template;const visible=(el.getAttribute('masker')||'').includes('visible');const isSlot=c=>/[\p{L}\p{N}]/u.test(c);const countSlots=text=>Array.from(text).filter(c=>isSlot(c)||c==='_').length;const history=[];let at=-1,last=el.value,filled=last.length,composing=!1,restoring=!1;const render=(raw,caret)=>{const head=raw.slice(0,caret);const rest=Array.from(raw.slice(caret)).some(isSlot)?raw.slice(caret):'';const typedText=format(head).value;const typed=countSlots(typedText)+(rest?/_*$/.exec(head)[0].length:0);const out=format(head+rest,head.length);if(!Array.from(out.value).some(isSlot))return{value:'',tail:placeholder(),pos:0};let pos=0;for(let seen=0;pos<out.value.length&&seen<typed;pos++){if(isSlot(out.value[pos])||out.value[pos]==='_')seen++}
+const trailing=text=>{const chars=Array.from(text);return chars.length-chars.findLastIndex(c=>isSlot(c)||c==='_')-1};const literals=Math.max(trailing(typedText),trailing(head));for(let i=0;i<literals&&pos<out.value.length&&!isSlot(out.value[pos]);i++)pos++;return{...out,pos}};const overwrite=(raw,caret)=>{const rest=raw.slice(caret);if(!Array.from(rest).some(isSlot)||!last.endsWith(rest))return null;const literals=placeholder().replace(/_/g,'');const isPosition=c=>c==='_'||(isSlot(c)&&!literals.includes(c));const end=last.length-rest.length;let start=0;while(start<Math.min(caret,end)&&raw[start]===last[start])start++;const typed=raw.slice(start,caret);const chars=last.split('');if(typed&&!Array.from(typed).some(isSlot)){let b=start;while(b<chars.length&&isPosition(chars[b]))b++;if(start===end&&start&&isSlot(chars[start-1])&&last.startsWith(typed,b)){return{raw:last.slice(0,start)+typed+last.slice(b),caret:start+typed.length}}
+return{raw:last,caret:start}}
+for(let i=start;i<end;i++){if(isPosition(chars[i]))chars[i]='_'}
+let i=start;for(const c of typed){if(!isSlot(c))continue;while(i<chars.length&&!isPosition(chars[i]))i++;if(i===chars.length)break;chars[i++]=c}
+return{raw:chars.join(''),caret:typed?i:start}};const edit=(raw,caret)=>{const aligned=inPlace?overwrite(raw,caret):null;return aligned?render(aligned.raw,aligned.caret):render(raw,caret)};const show=({value,tail,pos})=>{const focused=el.ownerDocument.activeElement===el;el.value=focused?value+tail:(value||(visible?placeholder():''));last=el.value;filled=value.length;if(focused)this.#trySetSelection(el,pos,pos);};const record=({value,pos})=>{if(restoring||(at>=0&&history[at].value===value))return;history.splice(at+1);history.push({value,pos});at=history.length-1};const travel=step=>{const entry=history[at+step];if(!entry)return;at+=step;restoring=!0;el.value=entry.value;el.dispatchEvent(new Event('input',{bubbles:!0}));restoring=!1;this.#trySetSelection(el,entry.pos,entry.pos)};const commit=()=>{const{value}=render(el.value,el.value.length);el.value=value||(visible?placeholder():'');last=el.value;filled=value.length};this.#templates.set(el,commit);if(visible&&!el.value){el.value=placeholder();filled=0}
+el.addEventListener('focus',()=>{const out=render(el.value,el.value.length);if(at<0)record(out);if(!out.tail)return;el.value=out.value+out.tail;last=el.value;filled=out.value.length;this.#trySetSelection(el,out.value.length,out.value.length)});el.addEventListener('input',e=>{if(composing||e.isComposing)return;let raw=el.value;let caret=el.selectionStart??raw.length;if(inPlace&&caret>filled){let from=filled;while(from<caret&&raw[from]===last[from])from++;const typed=raw.slice(from,caret);raw=raw.slice(0,filled)+typed+raw.slice(caret);caret=filled+typed.length}
+let out=edit(raw,caret);if(out.value+out.tail===last&&(e.inputType==='deleteContentBackward'||e.inputType==='deleteContentForward')){const chars=Array.from(raw);const i=e.inputType==='deleteContentBackward'?chars.slice(0,caret).findLastIndex(isSlot):chars.findIndex((c,j)=>j>=caret&&isSlot(c));if(i!==-1){chars.splice(i,1);out=edit(chars.join(''),e.inputType==='deleteContentBackward'?i:caret)}}
+show(out);record(out)});el.addEventListener('blur',commit);el.addEventListener('keydown',e=>{if(!(e.ctrlKey||e.metaKey)||e.altKey)return;const key=e.key.toLowerCase();if(key==='z'&&!e.shiftKey){e.preventDefault();travel(-1)}else if(key==='y'||(key==='z'&&e.shiftKey)){e.preventDefault();travel(1)}});el.addEventListener('beforeinput',e=>{if(e.inputType==='historyUndo'||e.inputType==='historyRedo'){e.preventDefault();travel(e.inputType==='historyUndo'?-1:1)}});el.addEventListener('compositionstart',()=>{composing=!0});el.addEventListener('compositionend',()=>{composing=!1;el.dispatchEvent(new Event('input',{bubbles:!0}))})}
 static #setupEmailMask(el){const placeholder='___@___';const setPlaceholder=()=>{if(!el.value){el.value=placeholder;el.classList.add('placeholder-text')}};const removePlaceholder=()=>{if(el.value===placeholder){el.value=''}
 el.classList.remove('placeholder-text')};el.addEventListener('focus',setPlaceholder);el.addEventListener('keydown',e=>{if(el.value===placeholder&&!['Tab','Shift','Control','Alt'].includes(e.key)){removePlaceholder()}});el.addEventListener('input',e=>this.#applyEmailMask(e));el.addEventListener('blur',()=>{if(el.value===placeholder){removePlaceholder()}
-const errorMessage=MaskerValidator.validate(el);if(errorMessage){MaskerValidator.displayError(el,errorMessage)}else{MaskerValidator.clearError(el)}})}
+const error=MaskerValidator.getValidationResult(el);if(error){MaskerValidator.displayError(el,error)}else{MaskerValidator.clearError(el)}})}
 static #applyEmailMask(e){const input=e.target;const validChars=/[^a-zA-Z0-9-._@]/g;input.value=input.value.replace(validChars,'').replace(/\s/g,'')}
-static #setupTimeField(el){const maskAttr=el.getAttribute('masker')||'';const isBegin=maskAttr.includes('time begin');const isEnd=maskAttr.includes('time end');if(el.tagName==='INPUT'&&el.type==='time'){el.addEventListener('blur',e=>{const errorMessage=MaskerValidator.validate(e.target);if(errorMessage){MaskerValidator.displayError(e.target,errorMessage)}else{MaskerValidator.clearError(e.target)}});return}
+static #setupTimeField(el){const maskAttr=el.getAttribute('masker')||'';const isBegin=maskAttr.includes('time begin');const isEnd=maskAttr.includes('time end');if(el.tagName==='INPUT'&&el.type==='time'){el.addEventListener('blur',e=>{const error=MaskerValidator.getValidationResult(e.target);if(error){MaskerValidator.displayError(e.target,error)}else{MaskerValidator.clearError(e.target)}});return}
+if(MaskerValidator._isTextTime(el)){this.#setupTimeMask(el);return}
 if(isBegin||isEnd){const container=el.closest('td, .ms-dtinput');if(!container){return}
-container.querySelectorAll('select').forEach(select=>{select.addEventListener('blur',()=>{const errorMessage=MaskerValidator.validate(el);const minutesSelect=MaskerValidator.findNextSelectWithPartialId(el,'Minutes');if(errorMessage){MaskerValidator.displayError(minutesSelect||el,errorMessage)}else{MaskerValidator.clearError(el);if(minutesSelect)MaskerValidator.clearError(minutesSelect);}})})}}
+container.querySelectorAll('select').forEach(select=>{select.addEventListener('blur',()=>{const error=MaskerValidator.getValidationResult(el);const minutesSelect=MaskerValidator.findNextSelectWithPartialId(el,'Minutes');if(error){MaskerValidator.displayError(minutesSelect||el,error)}else{MaskerValidator.clearError(el);if(minutesSelect)MaskerValidator.clearError(minutesSelect);}})})}}
+static #setupTimeMask(el){const tokens=MaskerValidator._timeTokens(MaskerValidator._timeFormat(el));const twelveHour=tokens.some(t=>t.unit==='a');const ph=tokens.map(t=>t.literal!==undefined?t.literal:'__').join('');const digitSlots=tokens.filter(t=>t.unit&&t.unit!=='a').length*2;if(twelveHour)this.#bindMeridiemKeys(el,digitSlots);this.#bindTemplateMask(el,ph,(raw,typed)=>this.#formatTime(raw,tokens,typed),{inPlace:!0});el.addEventListener('input',e=>MaskerValidator.clearError(e.target));el.addEventListener('paste',e=>this.#pasteCanonical(e));el.addEventListener('blur',e=>{const step=parseInt(el.getAttribute('data-step'),10);const minutes=MaskerValidator._toTime(el);if(step>0&&minutes!==null){let rounded=Math.round(minutes/step)*step;if(rounded>=1440)rounded=Math.floor(minutes/step)*step;el.value=MaskerValidator._formatTime(rounded,el)}
+const error=MaskerValidator.getValidationResult(e.target);if(error){MaskerValidator.displayError(e.target,error)}else{MaskerValidator.clearError(e.target)}})}
+static #bindMeridiemKeys(el,digitSlots){el.addEventListener('keydown',e=>{if(e.ctrlKey||e.metaKey||e.altKey)return;if(el.value.replace(/\D/g,'').length<digitSlots)return;const key=e.key.toLowerCase();let meridiem;if(key==='a'||key==='p')meridiem=key;else if(key==='arrowup'||key==='arrowdown')meridiem=/PM$/.test(el.value)?'a':'p';else return;e.preventDefault();el.value=el.value.replace(/_/g,'').replace(/[AP]M$/,'')+meridiem;el.setSelectionRange(el.value.length,el.value.length);el.dispatchEvent(new InputEvent('input',{bubbles:!0,inputType:'insertText',data:meridiem}))})}
+static #setupDateTimeMask(el){const{separator}=MaskerValidator._dateTimeFormat(el);const dateTokens=MaskerValidator._dateTokens(MaskerValidator._dateFormat(el));const timeTokens=MaskerValidator._timeTokens(MaskerValidator._timeFormat(el));const datePh=dateTokens.map(t=>t.literal!==undefined?t.literal:'_'.repeat(t.unit==='MMM'?3:t.unit.length)).join('');const timePh=timeTokens.map(t=>t.literal!==undefined?t.literal:'__').join('');if(timeTokens.some(t=>t.unit==='a')){const digitSlots=dateTokens.reduce((n,t)=>n+(t.unit&&t.unit!=='MMM'?t.unit.length:0),0)+
+timeTokens.filter(t=>t.unit&&t.unit!=='a').length*2;this.#bindMeridiemKeys(el,digitSlots)}
+this.#bindTemplateMask(el,datePh+separator+timePh,(raw,typed=raw.length)=>{const date=this.#formatDate(raw,dateTokens,MaskerValidator._dateMonths(el),typed);if(date.tail)return{value:date.value,tail:date.tail+separator+timePh};let rest=raw.slice(date.next);if(!/[\p{L}\p{N}]/u.test(rest))return{value:date.value,tail:separator+timePh};if(separator.trim()&&rest.trimStart().startsWith(separator.trim()))rest=rest.trimStart().slice(separator.trim().length);const time=this.#formatTime(rest,timeTokens,typed-(raw.length-rest.length));return{value:date.value+separator+time.value,tail:time.tail}},{inPlace:!0});el.addEventListener('input',e=>MaskerValidator.clearError(e.target));el.addEventListener('paste',e=>this.#pasteCanonical(e));el.addEventListener('blur',e=>{const error=MaskerValidator.getValidationResult(e.target);if(error){MaskerValidator.displayError(e.target,error)}else{MaskerValidator.clearError(e.target);const anchor=MaskerValidator._findErrorAnchor(e.target);if(anchor!==e.target)MaskerValidator.clearError(anchor);}})}
+static #formatTime(raw,tokens,typed=raw.length){let out='',ci=0,ti=0,partial=0;const hasMore=(from=ci)=>/[\p{L}\p{N}]/u.test(raw.slice(from));const firstMax={HH:2,hh:1,mm:5,ss:5};const meridiemAhead=tokens.some(t=>t.unit==='a');for(;ti<tokens.length;ti++){const t=tokens[ti];partial=0;if(!hasMore())break;if(t.literal!==undefined){out+=t.literal;while(raw[ci]==='_')ci++;if(raw.startsWith(t.literal,ci)){ci+=t.literal.length;if(ci===typed&&raw.startsWith(t.literal,ci))ci+=t.literal.length}
+continue}
+if(t.unit==='a'){const m=/[AaPp]/.exec(raw.slice(ci));if(!m)break;out+=/[Aa]/.test(m[0])?'AM':'PM';ci=raw.length;continue}
+const next=tokens[ti+1];const atNext=()=>next&&next.literal!==undefined&&raw.startsWith(next.literal,ci);let filled=0,stopped=!1;while(filled<2&&ci<raw.length){const c=raw[ci];if(/\d/.test(c)){if(!filled&&+c>firstMax[t.unit]&&ci<typed){out+='0';filled++}
+out+=c;filled++}else if(c==='_'&&hasMore(ci+1)){out+=c;filled++}else if(filled===1&&ci<typed&&/\d/.test(raw[ci-1])&&/[^_\s]/.test(c)){out=out.slice(0,-1)+'0'+out.slice(-1);filled=2;break}else if((meridiemAhead&&/\p{L}/u.test(c))||(ci>=typed&&atNext())){stopped=!0;break}
+ci++}
+if(stopped){out+='_'.repeat(2-filled)}else if(filled<2){partial=filled;break}else{while(ci>=typed&&/[\d_]/.test(raw[ci]||'')&&next&&next.literal!==undefined&&raw.includes(next.literal,ci))ci++}}
+const tail=tokens.slice(ti).map((t,i)=>t.literal!==undefined?t.literal:'_'.repeat(2-(i?0:partial))).join('');return{value:out,tail}}
 static #limitInput(e){const t=e.target;if(t.maxLength<0)return;const allowed=['Backspace','Delete','ArrowLeft','ArrowRight','Tab','Home','End'];const currLength=(t.textContent||'').length||(t.value||'').length;if(currLength>=t.maxLength&&!allowed.includes(e.key)){e.preventDefault()}}
 static disconnectObserverFor(target){const observeTarget=target&&target.nodeType?target:(typeof target==='string'?document.querySelector(target):document.body);for(let i=this._observers.length-1;i>=0;i--){const rec=this._observers[i];if(rec.target===observeTarget){try{rec.observer.disconnect()}catch(e){}
 this._observers.splice(i,1)}}}}